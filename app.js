@@ -1,24 +1,133 @@
 /*
   Colorimeter Simulator — Betalain (Beetroot)
-  Beer–Lambert: A = ε(λ) * c * l
-  Units: ε in L/(mol·cm), c in mol/L, l in cm
-  UI sliders use mM; convert to M for calculations.
+  UI and instrument view. The Beer–Lambert model itself lives in model.js.
+  UI sliders use mM; the model converts to M for calculations.
 */
 
-// --- Parameters for betalain spectrum (representative, not exact) ---
-const LAMBDA_PEAK_NM = 538;         // peak wavelength in nm
-const EPSILON_MAX = 60000;          // peak molar absorptivity [L/(mol·cm)]
-const SPECTRUM_SIGMA_NM = 35;       // spectral width (standard deviation)
-const BASELINE_EPSILON = 150;       // small baseline
-
-// Instrument/noise parameters
-const NOISE_STD_A = 0.005;          // absorbance noise std dev
+import {
+  PIGMENTS, DEFAULT_PIGMENT, pigmentIds, epsilonAt, componentAbsorbances, transmittanceFromA,
+  effectiveAbsorbance, linearRegression, linearRange, createRng, measureAbsorbance, calibrationTargets, solveMixture,
+  lampIntensity, randn, degradationRate, REFERENCE_PH, REFERENCE_TEMP_C,
+  MEMBRANE, simulateDiscExtract, peakWavelength, configurePigments, absorbance, LEDS, DEFAULT_LED
+} from './model.js';
+import { FIT_MODELS, fitCalibration, detectionLimits, inversePrediction } from './fitting.js';
+import { createSession, parseSession, settingsToHash, settingsFromHash } from './session.js';
+import { CONCENTRATION_UNITS, IMPORT_FIELDS, parseCsv, guessMapping, convertRows } from './csv.js';
+import { buildReportHtml, rowsToCsv, rowsToJson, escapeHtml } from './report.js';
+import { RATE_LAWS, fitKinetics, fitRateLaw, arrheniusFit } from './kinetics.js';
+import { DEFAULT_CONFIG, parseConfig } from './config.js';
+import { groupFromFile, compareGroups } from './classroom.js';
+import { ILLUMINANTS, solutionColor, spectralLocus, whitePoint, chromaticity, SRGB_PRIMARIES } from './colorimetry.js';
+import { BUILT_IN_LESSONS, parseLesson, startLesson, currentStep, checkLesson, takeHint, maxScore, totalScore } from './lessons.js';
+import { PIPETTES, FLASKS, GLASSWARE_CLASSES, DILUTION_METHODS, DEFAULT_PLAN, prepareStandards, describePlan } from './dilution.js';
+
+// Instrument parameters
 const DETECTOR_MAX = 1.0;           // normalized detector output for 0 absorbance
 
-// Bleaching simulation
+// Noise source: pass ?seed=<n> in the URL to make noisy readings reproducible
+const seedParam = new URLSearchParams(window.location.search).get('seed');
+const rng = seedParam !== null && Number.isFinite(Number(seedParam)) ? createRng(Number(seedParam)) : Math.random;
+
+// Active class config (see config.js); replaced by applyConfig()
+let config = DEFAULT_CONFIG;
+
+function readA(lam, sample, l_cm) {
+  return measureAbsorbance(lam, sample, l_cm, {
+    noise: noiseToggle.checked, noiseSd: config.noise.sdA, rng, optics: currentOptics(),
+    I0: lampIntensity(instrumentMinutes()), Iref: referenceIntensity(), pH: currentEnvironment().pH
+  });
+}
+
+// Single-beam referencing: the lamp drifts from switch-on, and readings are relative
+// to the last blank. Without a blank the instrument falls back to its factory
+// reference (DETECTOR_MAX), which is only right for a warmed-up, undrifted lamp.
+const BLANK_MAX_AGE_MIN = 5;      // re-zero at least this often
+let instrumentStart = performance.now();
+let blankReference = null;        // { I, t_min } detector reading of the blank
+
+function instrumentMinutes() {
+  return (performance.now() - instrumentStart) / 60000;
+}
+
+function referenceIntensity() {
+  return blankReference ? blankReference.I : DETECTOR_MAX;
+}
+
+// Minutes since the last blank, or null if the instrument has not been zeroed
+function blankAgeMinutes() {
+  return blankReference ? instrumentMinutes() - blankReference.t_min : null;
+}
+
+function zeroWithBlank() {
+  const t_min = instrumentMinutes();
+  // The blank is solvent only: the detector sees I₀ (plus a little noise)
+  const noise = noiseToggle.checked ? 1 + randn(rng) * config.noise.sdA * Math.LN10 : 1;
+  blankReference = { I: lampIntensity(t_min) * noise, t_min };
+  flashMeasurementCue();
+  announce('Zeroed on the blank');
+  updateAll();
+  updateCalibrationPlot();
+}
+
+function updateBlankStatus() {
+  const age = blankAgeMinutes();
+  if (age === null) {
+    blankOut.textContent = 'not zeroed';
+    blankOut.classList.add('warn');
+  } else {
+    blankOut.textContent = `zeroed ${fmt(age, 1)} min ago`;
+    blankOut.classList.toggle('warn', age > BLANK_MAX_AGE_MIN);
+  }
+}
+
+function currentPathLength() {
+  return parseFloat(pathLength.value);
+}
+
+// Sample conditions: pH moves and weakens the bands, temperature and pH set how
+// fast the pigment degrades
+function currentEnvironment() {
+  return { temperatureC: parseFloat(temperature.value), pH: parseFloat(samplePH.value) };
+}
+
+// In colorimeter mode the source band is the selected LED's emission profile
+function currentOptics() {
+  const bandwidthNm = isColorimeterMode() ? LEDS[activeLed].fwhmNm : parseFloat(bandwidth.value);
+  return { strayLight: parseFloat(strayLight.value) / 100, bandwidthNm };
+}
+
+// Sample mixture: concentration (mM) of every pigment. The concentration slider
+// always edits the selected pigment; the other components stay as set.
+let activePigment = DEFAULT_PIGMENT;
+let mixture = defaultMixture();
+
+function defaultMixture() {
+  const mix = {};
+  for (const id of pigmentIds()) mix[id] = 0;
+  mix[DEFAULT_PIGMENT] = 0.5;
+  return mix;
+}
+
+// A prepared standard in the cuvette holds its actual concentration, not its label's
+function currentSample() {
+  const c_mM = activeStandard ? activeStandard.actual_mM : parseFloat(concentration.value);
+  return { ...mixture, [activePigment]: c_mM };
+}
+
+// Concentration the student believes is in the cuvette: a standard's nominal value
+function sampleConcentration() {
+  return activeStandard ? activeStandard.nominal_mM : parseFloat(concentration.value);
+}
+
+// Bleaching simulation on its own clock, which can run faster than real time.
+// The sample decays first-order; the student sees only A(t) read through the
+// instrument at the λ set when the run started.
+const BLEACH_TICK_MS = 250;
+const BLEACH_MAX_READINGS = 600;
 let bleaching = false;
 let bleachTimer = null;
-let bleachStartTime = null;
+let bleachClockMin = 0;   // simulated minutes since the run started
+let bleachRuns = [];      // {k_per_min, temperatureC, pH, pigment, lambda, l_cm, points: [{t_min, A, c_mM}]}, one per run
 
 // --- DOM elements ---
 const el = (id) => document.getElementById(id);
@@ -26,6 +135,8 @@ const wavelength = el('wavelength');
 const concentration = el('concentration');
 const wavelengthOut = el('wavelengthOut');
 const concentrationOut = el('concentrationOut');
+const pigmentSelect = el('pigment');
+const sampleComposition = el('sampleComposition');
 const absorbanceOut = el('absorbanceOut');
 const transmittanceOut = el('transmittanceOut');
 const detectorOut = el('detectorOut');
@@ -36,55 +147,179 @@ const autoCalibrateBtn = el('autoCalibrateBtn');
 const unknownBtn = el('unknownBtn');
 const resetAll = el('resetAll');
 const downloadData = el('downloadData');
+const dataSet = el('dataSet');
+const dataFormat = el('dataFormat');
+const reportBtn = el('reportBtn');
 const bleachToggle = el('bleachToggle');
 const bleachReset = el('bleachReset');
 const bleachRate = el('bleachRate');
 const bleachRateOut = el('bleachRateOut');
+const clockSpeed = el('clockSpeed');
+const sampleInterval = el('sampleInterval');
+const bleachClock = el('bleachClock');
+const kineticsModel = el('kineticsModel');
+const kineticsTable = el('kineticsTable');
+const arrheniusStats = el('arrheniusStats');
+const temperature = el('temperature');
+const temperatureOut = el('temperatureOut');
+const samplePH = el('samplePH');
+const samplePHOut = el('samplePHOut');
+const leakCondition = el('leakCondition');
+const leakLevel = el('leakLevel');
+const leakUnit = el('leakUnit');
+const leakTime = el('leakTime');
+const leakMeasureBtn = el('leakMeasureBtn');
+const leakClear = el('leakClear');
+const leakStatus = el('leakStatus');
+const leakageTable = el('leakageTable');
 const calibStats = el('calibStats');
+const saveSessionBtn = el('saveSessionBtn');
+const loadSessionBtn = el('loadSessionBtn');
+const sessionFile = el('sessionFile');
+const sessionStatus = el('sessionStatus');
+const importFile = el('importFile');
+const importMapping = el('importMapping');
+const importUnit = el('importUnit');
+const importMolarMass = el('importMolarMass');
+const importMolarMassRow = el('importMolarMassRow');
+const importPreview = el('importPreview');
+const importErrors = el('importErrors');
+const importBtn = el('importBtn');
+const scanFrom = el('scanFrom');
+const scanTo = el('scanTo');
+const scanStep = el('scanStep');
+const scanBtn = el('scanBtn');
+const scanResult = el('scanResult');
+const useLambdaMaxBtn = el('useLambdaMaxBtn');
+const showTheory = el('showTheory');
+const lessonsToggle = el('lessonsToggle');
+const lessonPanel = el('lessonPanel');
+const lessonSelect = el('lessonSelect');
+const lessonStartBtn = el('lessonStartBtn');
+const lessonLoadBtn = el('lessonLoadBtn');
+const lessonFile = el('lessonFile');
+const lessonDescription = el('lessonDescription');
+const lessonRunPanel = el('lessonRun');
+const lessonProgress = el('lessonProgress');
+const lessonScore = el('lessonScore');
+const lessonInstruction = el('lessonInstruction');
+const lessonDetail = el('lessonDetail');
+const lessonHints = el('lessonHints');
+const lessonHintBtn = el('lessonHintBtn');
+const lessonEndBtn = el('lessonEndBtn');
+const lessonMessage = el('lessonMessage');
+const configStatus = el('configStatus');
+const configLoadBtn = el('configLoadBtn');
+const configClearBtn = el('configClearBtn');
+const configFile = el('configFile');
+const classroomFiles = el('classroomFiles');
+const classroomClear = el('classroomClear');
+const classroomStatus = el('classroomStatus');
+const classroomErrors = el('classroomErrors');
+const classroomTable = el('classroomTable');
+const illuminant = el('illuminant');
+const colourStats = el('colourStats');
+const showChromaticity = el('showChromaticity');
+const chromaticityBox = el('chromaticityBox');
+const labOut = el('labOut');
+const colourSwatch = el('colourSwatch');
+const instrumentType = el('instrumentType');
+const wavelengthControl = el('wavelengthControl');
+const ledControl = el('ledControl');
+const ledOptions = el('ledOptions');
+const ledProfile = el('ledProfile');
+const announcer = el('announcer');
+const instrumentDesc = el('instrumentDesc');
+const soundToggle = el('soundToggle');
+const soundHint = el('soundHint');
+const shortcutsHelp = el('shortcutsHelp');
+const shortcutList = el('shortcutList');
+const singleKeyShortcuts = el('singleKeyShortcuts');
+const undoBtn = el('undoBtn');
+const redoBtn = el('redoBtn');
+const logSummary = el('logSummary');
+const measurementLog = el('measurementLog');
+const standardControl = el('standardControl');
+const standardSelect = el('standardSelect');
+const stockConc = el('stockConc');
+const standardCount = el('standardCount');
+const dilutionMethod = el('dilutionMethod');
+const pipetteVolume = el('pipetteVolume');
+const pipetteClass = el('pipetteClass');
+const flaskVolume = el('flaskVolume');
+const flaskClass = el('flaskClass');
+const prepareStandardsBtn = el('prepareStandardsBtn');
+const discardStandardsBtn = el('discardStandardsBtn');
+const standardsStatus = el('standardsStatus');
+const standardsTable = el('standardsTable');
+const calibWarnings = el('calibWarnings');
+const zeroBtn = el('zeroBtn');
+const blankOut = el('blankOut');
+const fitDetails = el('fitDetails');
+const fitModel = el('fitModel');
+const pathLength = el('pathLength');
+const plotVsPathLength = el('plotVsPathLength');
+const strayLight = el('strayLight');
+const strayLightOut = el('strayLightOut');
+const bandwidth = el('bandwidth');
+const bandwidthOut = el('bandwidthOut');
+const unknownMixtureBtn = el('unknownMixtureBtn');
+const mixtureCalibrations = el('mixtureCalibrations');
+const mixtureResult = el('mixtureResult');
 const advancedToggle = el('advancedToggle');
 const advancedPanel = el('advancedPanel');
+const spectrumPanel = el('spectrumPanel');
 const unknownOverlay = el('unknownOverlay');
+const unknownSessionPanel = el('unknownSession');
+const dilutionFactor = el('dilutionFactor');
+const unknownReadBtn = el('unknownReadBtn');
+const unknownSubmitBtn = el('unknownSubmitBtn');
+const unknownClose = el('unknownClose');
+const unknownReadings = el('unknownReadings');
+const unknownEstimateOut = el('unknownEstimate');
+const unknownResult = el('unknownResult');
 
 // Visualization elements
 const instrumentSVG = el('instrumentSVG');
-const beam = el('beam');
-const photonsGroup = el('photons');
+const beamCanvas = el('beamCanvas');
 const solution = el('solution');
 const detector = el('detector');
 const led = el('led');
+const cuvetteGroup = el('cuvetteGroup');
+const cuvetteBody = el('cuvetteBody');
+const cuvetteLabel = el('cuvetteLabel');
 
 // --- Helpers ---
-function gaussian(x, mu, sigma) {
-  const a = (x - mu) / sigma;
-  return Math.exp(-0.5 * a * a);
-}
-
-function epsilonAt(lambdaNm) {
-  // Gaussian peak + baseline
-  return EPSILON_MAX * gaussian(lambdaNm, LAMBDA_PEAK_NM, SPECTRUM_SIGMA_NM) + BASELINE_EPSILON;
-}
-
-function absorbance(lambdaNm, c_mM, l_cm) {
-  const c_M = c_mM / 1000; // convert mM to M
-  return epsilonAt(lambdaNm) * c_M * l_cm;
+function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
+function fmt(num, digits=3) { return Number.parseFloat(num).toFixed(digits); }
+function pigmentShortName(id) { return PIGMENTS[id].name.split(' (')[0]; }
+// Points from the simulator itself; anything else was imported (source = file or lab)
+const SIMULATOR_SOURCE = 'simulator';
+function isSimulated(d) { return !d.source || d.source === SIMULATOR_SOURCE; }
+function calibXUnit() { return plotVsPathLength.checked ? 'mM·cm' : 'mM'; }
+function calibXTitle() {
+  const name = pigmentShortName(activePigment);
+  return plotVsPathLength.checked ? `${name} c·l (mM·cm)` : `${name} concentration (mM)`;
 }
 
-function transmittanceFromA(A) {
-  // T = 10^{-A}
-  return Math.pow(10, -A);
+// Top of the auto-calibration series: the config's value, else the slider maximum up to 1 mM
+function calibrationTop() {
+  return config.autoCalibration.maxConcentration ?? Math.min(1.0, parseFloat(concentration.max || '1'));
 }
 
-function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
-function fmt(num, digits=3) { return Number.parseFloat(num).toFixed(digits); }
-
 // --- Chart setup ---
-let spectrumChart, calibrationChart, timeChart;
-let calibrationData = []; // {c_mM, A}
-let timeSeries = [];      // {t_min, c_mM}
+let spectrumChart, calibrationChart, residualChart, timeChart, arrheniusChart, leakageChart, classroomChart, chromaticityChart;
+let calibrationData = []; // {c_mM, A, pigment, lambda, l_cm, blankAge, pH, matrix_mM, source, time, method, excluded, reason}
+let timeSeries = [];      // points of the latest bleaching run: {t_min, A, c_mM (true, hidden)}
 let spectrumInitialized = false;
 let timeChartInitialized = false;
 let autoRunning = false;
 let autoTimer = null;
+let autoMixture = null;   // the mixture set aside while an auto calibration reads pure standards
+let scanRunning = false;
+let scanTimer = null;
+let scanData = [];        // {lambda, A} from the last wavelength scan
+let scanLambdaMax = null; // experimental λmax of the last completed scan
 // Persist parameters for overlay so we can reposition on resize/mobile rotation
 let lastUnknownOverlayParams = null;
 
@@ -98,20 +333,47 @@ function initCharts() {
     type: 'scatter',
     data: { datasets: [
       { label: 'Measurements', data: [], borderColor: '#3949ab', backgroundColor: 'rgba(63,81,181,.25)', showLine: false, pointRadius: 4 },
-      { label: 'Fit', data: [], borderColor: '#ef6c00', backgroundColor: 'transparent', showLine: true, pointRadius: 0 }
+      { label: 'Fit', data: [], borderColor: '#ef6c00', backgroundColor: 'transparent', showLine: true, pointRadius: 0 },
+      { label: 'End of linear range', data: [], borderColor: '#c62828', borderDash: [4, 4], backgroundColor: 'transparent', showLine: true, pointRadius: 0 },
+      { label: '95% confidence band', data: [], borderColor: 'rgba(239,108,0,.35)', borderWidth: 1, backgroundColor: 'transparent', showLine: true, pointRadius: 0 },
+      { label: '95% lower', data: [], borderColor: 'rgba(239,108,0,.35)', borderWidth: 1, backgroundColor: 'rgba(239,108,0,.12)', fill: '-1', showLine: true, pointRadius: 0 },
+      { label: 'Excluded', data: [], borderColor: '#90a4ae', backgroundColor: 'transparent', showLine: false, pointRadius: 5, pointStyle: 'crossRot', borderWidth: 1.5 }
     ]},
     options: {
       responsive: true,
       maintainAspectRatio: false,
       animation: { duration: 200 },
-      plugins: { legend: { labels: { color: labelColor } } },
+      // Clicking a measured or excluded point moves it into or out of the fit
+      onClick: (e, elements) => {
+        const hit = elements.find(item => item.datasetIndex === 0 || item.datasetIndex === 5);
+        if (hit) toggleExclusion(chartPointEntry(hit.datasetIndex, hit.index), true);
+      },
+      plugins: { legend: { labels: { color: labelColor, filter: item => item.text !== '95% lower' } } },
       scales: {
-        x: { title: { text: 'Concentration (mM)', display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor } },
+        x: { title: { text: calibXTitle(), display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor } },
         y: { title: { text: 'Absorbance A', display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor }, suggestedMin: 0 }
       }
     }
   });
 
+  // Residuals of the current fit
+  residualChart = new Chart(document.getElementById('residualChart'), {
+    type: 'scatter',
+    data: { datasets: [
+      { label: 'Residual (A − fit)', data: [], borderColor: '#3949ab', backgroundColor: 'rgba(63,81,181,.35)', pointRadius: 3 }
+    ]},
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: { duration: 0 },
+      plugins: { legend: { display: false } },
+      scales: {
+        x: { title: { text: 'x', display: false }, grid: { color: gridColor }, ticks: { color: labelColor } },
+        y: { title: { text: 'Residual', display: true, color: labelColor }, grid: { color: (ctx) => ctx.tick && ctx.tick.value === 0 ? '#90a4ae' : gridColor }, ticks: { color: labelColor } }
+      }
+    }
+  });
+
   // Spectrum and Time charts will be lazily initialized when their panels are opened
   function ensureSpectrumChart() {
     if (spectrumInitialized) return;
@@ -120,14 +382,16 @@ function initCharts() {
       type: 'line',
       data: { datasets: [
         { label: 'ε(λ) [L/(mol·cm)]', data: [], yAxisID: 'y1', borderColor: '#7e57c2', tension: .2, pointRadius: 0 },
-        { label: 'A(λ)', data: [], yAxisID: 'y', borderColor: '#ef5350', tension: .2, pointRadius: 0 }
+        { label: 'A(λ) total', data: [], yAxisID: 'y', borderColor: '#ef5350', tension: .2, pointRadius: 0 },
+        { label: 'A(λ) measured (stray light, bandwidth)', data: [], yAxisID: 'y', borderColor: '#37474f', borderWidth: 1.5, tension: .2, pointRadius: 0 },
+        { label: 'Scan readings', data: [], yAxisID: 'y', borderColor: '#1565c0', backgroundColor: 'rgba(21,101,192,.5)', showLine: false, pointRadius: 3 }
       ]},
       options: {
         responsive: true,
         animation: { duration: 300 },
         plugins: { legend: { labels: { color: labelColor } } },
         scales: {
-          x: { title: { text: 'Wavelength (nm)', display: true, color: labelColor }, min: 380, max: 700, grid: { color: gridColor }, ticks: { color: labelColor } },
+          x: { type: 'linear', title: { text: 'Wavelength (nm)', display: true, color: labelColor }, min: 380, max: 700, grid: { color: gridColor }, ticks: { color: labelColor } },
           y: { title: { text: 'Absorbance A', display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor }, suggestedMin: 0 },
           y1: { position: 'right', title: { text: 'ε', display: true, color: labelColor }, grid: { drawOnChartArea: false }, ticks: { color: labelColor }, suggestedMin: 0 }
         }
@@ -143,15 +407,32 @@ function initCharts() {
     timeChart = new Chart(timeCtx, {
       type: 'line',
       data: { datasets: [
-        { label: 'c(t) [mM]', data: [], borderColor: '#00897b', backgroundColor: 'rgba(0,137,123,.15)', tension: .2, pointRadius: 0 }
+        { label: 'A(t) measured', data: [], borderColor: '#00897b', backgroundColor: 'rgba(0,137,123,.45)', showLine: false, pointRadius: 2 },
+        { label: 'Fit', data: [], borderColor: '#ef6c00', backgroundColor: 'transparent', borderWidth: 1.5, pointRadius: 0 }
       ]},
       options: {
         responsive: true,
         animation: { duration: 0 },
         plugins: { legend: { labels: { color: labelColor } } },
         scales: {
-          x: { title: { text: 'Time (min)', display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor } },
-          y: { title: { text: 'Concentration (mM)', display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor }, suggestedMin: 0 }
+          x: { type: 'linear', title: { text: 'Time (min, simulated clock)', display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor } },
+          y: { title: { text: 'Absorbance A', display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor }, suggestedMin: 0 }
+        }
+      }
+    });
+    arrheniusChart = new Chart(document.getElementById('arrheniusChart'), {
+      type: 'scatter',
+      data: { datasets: [
+        { label: 'Runs', data: [], borderColor: '#6a1b9a', backgroundColor: 'rgba(106,27,154,.45)', showLine: false, pointRadius: 4 },
+        { label: 'Fit', data: [], borderColor: '#ef6c00', backgroundColor: 'transparent', showLine: true, pointRadius: 0 }
+      ]},
+      options: {
+        responsive: true,
+        animation: { duration: 0 },
+        plugins: { legend: { display: false } },
+        scales: {
+          x: { title: { text: '1000 / T (K⁻¹)', display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor } },
+          y: { title: { text: 'ln k', display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor } }
         }
       }
     });
@@ -159,164 +440,570 @@ function initCharts() {
     updateTimePlot();
   }
 
+  function ensureLeakageChart() {
+    if (leakageChart) return;
+    leakageChart = new Chart(document.getElementById('leakageChart'), {
+      type: 'scatter',
+      data: { datasets: [
+        { label: 'Discs', data: [], borderColor: '#ad1457', backgroundColor: 'rgba(173,20,87,.35)', showLine: false, pointRadius: 3 },
+        { label: 'Mean', data: [], borderColor: '#37474f', backgroundColor: '#37474f', showLine: true, pointRadius: 2, borderWidth: 1.5 }
+      ]},
+      options: {
+        responsive: true,
+        animation: { duration: 0 },
+        plugins: { legend: { labels: { color: labelColor } } },
+        scales: {
+          x: { title: { text: leakageAxisTitle(), display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor } },
+          y: { title: { text: 'Absorbance of extract A', display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor }, suggestedMin: 0 }
+        }
+      }
+    });
+    updateLeakagePlot();
+  }
+
+  function ensureClassroomChart() {
+    if (classroomChart) return;
+    classroomChart = new Chart(document.getElementById('classroomChart'), {
+      type: 'scatter',
+      data: { datasets: [] },
+      options: {
+        responsive: true,
+        animation: { duration: 0 },
+        // One legend entry per group: its points; the fit lines share the colour
+        plugins: { legend: { labels: { color: labelColor, filter: (item, data) => !data.datasets[item.datasetIndex].isFit } } },
+        scales: {
+          x: { title: { text: 'c·l (mM·cm)', display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor } },
+          y: { title: { text: 'Absorbance A', display: true, color: labelColor }, grid: { color: gridColor }, ticks: { color: labelColor } }
+        }
+      }
+    });
+    updateClassroomPlot();
+  }
+
+  function ensureChromaticityChart() {
+    if (chromaticityChart) return;
+    const locus = spectralLocus();
+    chromaticityChart = new Chart(document.getElementById('chromaticityChart'), {
+      type: 'scatter',
+      data: { datasets: [
+        // Closed by the line of purples back to the first point
+        { label: 'Spectral locus', data: [...locus, locus[0]], borderColor: '#607d8b', showLine: true, pointRadius: 0, borderWidth: 1.5 },
+        { label: 'sRGB gamut', data: [...SRGB_PRIMARIES, SRGB_PRIMARIES[0]], borderColor: '#b0bec5', borderDash: [4, 3], showLine: true, pointRadius: 0, borderWidth: 1 },
+        { label: 'White', data: [], borderColor: '#263238', backgroundColor: '#fff', pointRadius: 4, pointStyle: 'crossRot', borderWidth: 1.5 },
+        { label: 'Dilution path', data: [], borderColor: '#90a4ae', showLine: true, pointRadius: 0, borderWidth: 1 },
+        { label: 'Sample', data: [], borderColor: '#263238', backgroundColor: '#fff', pointRadius: 6, borderWidth: 1 }
+      ]},
+      options: {
+        responsive: true,
+        animation: { duration: 0 },
+        plugins: { legend: { labels: { color: labelColor } } },
+        scales: {
+          x: { title: { text: 'x', display: true, color: labelColor }, min: 0, max: 0.8, grid: { color: gridColor }, ticks: { color: labelColor } },
+          y: { title: { text: 'y', display: true, color: labelColor }, min: 0, max: 0.9, grid: { color: gridColor }, ticks: { color: labelColor } }
+        }
+      }
+    });
+    updateSolutionColour();
+  }
+
   // expose to other handlers
   initCharts.ensureSpectrumChart = ensureSpectrumChart;
+  initCharts.ensureChromaticityChart = ensureChromaticityChart;
+  initCharts.ensureClassroomChart = ensureClassroomChart;
   initCharts.ensureTimeChart = ensureTimeChart;
+  initCharts.ensureLeakageChart = ensureLeakageChart;
 }
 
-// Linear regression y = m x + b
-function linearRegression(points) {
-  const n = points.length;
-  if (n < 2) return { m: 0, b: 0, r2: 0 };
-  let sumx=0, sumy=0, sumxy=0, sumx2=0, sumy2=0;
-  for (const p of points) {
-    sumx += p.x; sumy += p.y; sumxy += p.x*p.y; sumx2 += p.x*p.x; sumy2 += p.y*p.y;
+// Theoretical spectrum of the current sample every 2 nm: ε of the selected pigment,
+// each component's A and their total, and (with non-ideal optics) what the
+// instrument would report
+function spectrumSeries() {
+  const l_cm = currentPathLength();
+  const sample = currentSample();
+  const components = Object.keys(sample).filter(id => sample[id] > 0);
+  const optics = currentOptics();
+  const ideal = optics.strayLight <= 0 && optics.bandwidthNm <= 0;
+  const { pH } = currentEnvironment();
+  const rows = [];
+  for (let lam = 380; lam <= 700; lam += 2) {
+    const parts = componentAbsorbances(lam, sample, l_cm, pH);
+    const total = components.reduce((sum, id) => sum + parts[id], 0);
+    rows.push({
+      lambda: lam, epsilon: epsilonAt(lam, activePigment, pH), parts, total,
+      measured: ideal ? null : effectiveAbsorbance(lam, sample, l_cm, optics, pH)
+    });
   }
-  const denom = (n*sumx2 - sumx*sumx);
-  const m = denom !== 0 ? (n*sumxy - sumx*sumy) / denom : 0;
-  const b = (sumy - m*sumx) / n;
-  const r_num = (n*sumxy - sumx*sumy);
-  const r_den = Math.sqrt((n*sumx2 - sumx*sumx) * (n*sumy2 - sumy*sumy));
-  const r = r_den !== 0 ? r_num / r_den : 0;
-  return { m, b, r2: r*r };
+  return { components, ideal, rows };
+}
+
+// Everything the spectrum chart is drawn from; it is only recomputed when this changes
+let spectrumKey = null;
+
+function spectrumInputs() {
+  return JSON.stringify({
+    pigment: activePigment, sample: currentSample(), l_cm: currentPathLength(), optics: currentOptics(),
+    pH: currentEnvironment().pH, scan: scanData.length, theory: showTheory.checked
+  });
 }
 
-function updateSpectrum() {
+// Redraw the spectrum if its panel is open and its inputs changed. force redraws
+// it regardless, for the report.
+function updateSpectrum(force = false) {
   if (!spectrumChart) return; // not initialized yet
-  const l_cm = 1; // fixed path length (cm)
-  const c_mM = parseFloat(concentration.value);
-  const labels = [];
-  const epsilonData = [];
-  const Adata = [];
-  for (let lam = 380; lam <= 700; lam += 2) {
-    labels.push(lam);
-    const eps = epsilonAt(lam);
-    epsilonData.push({ x: lam, y: eps });
-    Adata.push({ x: lam, y: absorbance(lam, c_mM, l_cm) });
-  }
+  if (!force && spectrumPanel.closest('.is-hidden, .feature-off')) return;
+  const key = spectrumInputs();
+  if (!force && key === spectrumKey) return;
+  spectrumKey = key;
+  const { components, ideal, rows } = spectrumSeries();
+  const labels = rows.map(r => r.lambda);
+  const epsilonData = rows.map(r => ({ x: r.lambda, y: r.epsilon }));
+  const Adata = rows.map(r => ({ x: r.lambda, y: r.total }));
+  const measuredData = ideal ? [] : rows.map(r => ({ x: r.lambda, y: r.measured }));
+  const componentData = Object.fromEntries(components.map(id => [id, rows.map(r => ({ x: r.lambda, y: r.parts[id] }))]));
   spectrumChart.data.labels = labels;
+  spectrumChart.data.datasets[0].label = `ε(λ) ${PIGMENTS[activePigment].name} [L/(mol·cm)]`;
   spectrumChart.data.datasets[0].data = epsilonData;
   spectrumChart.data.datasets[1].data = Adata;
+  spectrumChart.data.datasets[2].data = measuredData;
+  spectrumChart.data.datasets[3].data = scanData.map(d => ({ x: d.lambda, y: d.A }));
+  // Theory curves can be hidden so students find λmax from their own scan
+  const hideTheory = !showTheory.checked;
+  [0, 1, 2].forEach(i => { spectrumChart.data.datasets[i].hidden = hideTheory; });
+  // One dashed A(λ) curve per component after the four fixed datasets
+  spectrumChart.data.datasets.length = 4;
+  for (const id of components) {
+    spectrumChart.data.datasets.push({
+      label: `A(λ) ${PIGMENTS[id].name}`, data: componentData[id], yAxisID: 'y',
+      borderColor: PIGMENTS[id].color, borderDash: [5, 4], borderWidth: 1.5, tension: .2, pointRadius: 0,
+      hidden: hideTheory
+    });
+  }
   spectrumChart.update('none');
 }
 
+// Points belonging to the calibration on screen: selected pigment at the selected λ
+function isCurrentCalibration(d) {
+  return d.pigment === activePigment && d.lambda === parseFloat(wavelength.value);
+}
+
+// x for the calibration chart: c, or c·l so readings from different cuvettes line up
+function calibX(d) {
+  return plotVsPathLength.checked ? d.c_mM * d.l_cm : d.c_mM;
+}
+
+// Points of the on-screen calibration that are in the fit (not excluded in the log)
+function fittedCalibrationData() {
+  return calibrationData.filter(d => isCurrentCalibration(d) && !d.excluded);
+}
+
+function currentCalibrationPoints() {
+  return fittedCalibrationData().map(d => ({ x: calibX(d), y: d.A }));
+}
+
+// Store a reading as a calibration point of the selected pigment, noting how old
+// the blank was (null = taken without zeroing), when it was taken and whether by
+// hand ('manual') or by the auto-calibration ('auto'). A prepared standard is
+// recorded at its nominal c_mM; its label and actual concentration go along for the report.
+// matrix_mM is how much of the other pigments was in the cuvette (0 for a pure standard).
+function recordCalibrationPoint(c_mM, A, lam, l_cm, method = 'manual', standard = null, sample = currentSample()) {
+  const matrix_mM = Object.keys(sample).filter(id => id !== activePigment).reduce((sum, id) => sum + sample[id], 0);
+  const point = {
+    c_mM, A, pigment: activePigment, lambda: lam, l_cm, blankAge: blankAgeMinutes(), pH: currentEnvironment().pH,
+    matrix_mM, source: SIMULATOR_SOURCE, time: new Date().toISOString(), method
+  };
+  if (standard) Object.assign(point, { standard: standard.label, c_actual_mM: standard.actual_mM });
+  calibrationData.push(point);
+  emit('measurement', { ...point });
+  return point;
+}
+
+// Measure: read the sample in the cuvette and add it to the calibration
+function measureSample() {
+  const lam = parseFloat(wavelength.value);
+  const c_mM = sampleConcentration();
+  const l_cm = currentPathLength();
+  const A = readA(lam, currentSample(), l_cm);
+  recordHistory('measurement');
+  const point = recordCalibrationPoint(c_mM, A, lam, l_cm, 'manual', activeStandard);
+  updateCalibrationPlot();
+  flashMeasurementCue();
+  const n = currentCalibrationPoints().length;
+  announce(`Measured ${fmt(c_mM, 2)} mM: ${readingText(A, lam)}. ${n} point${n === 1 ? '' : 's'} in this calibration.`);
+  return point;
+}
+
+// Procedural problems with the on-screen calibration's referencing
+function calibrationWarnings() {
+  // Imported points were referenced on their own instrument
+  const pts = fittedCalibrationData().filter(isSimulated);
+  const warnings = [];
+  const unzeroed = pts.filter(d => d.blankAge === null).length;
+  const stale = pts.filter(d => d.blankAge !== null && d.blankAge > BLANK_MAX_AGE_MIN).length;
+  if (unzeroed) warnings.push(`${unzeroed} point${unzeroed > 1 ? 's' : ''} measured without zeroing on a blank: expect an offset`);
+  if (stale) warnings.push(`${stale} point${stale > 1 ? 's' : ''} measured more than ${BLANK_MAX_AGE_MIN} min after the last blank: lamp drift biases them`);
+  const { pH } = currentEnvironment();
+  const otherPH = pts.filter(d => d.pH !== undefined && d.pH !== pH).length;
+  if (otherPH) warnings.push(`${otherPH} point${otherPH > 1 ? 's' : ''} measured at a different pH: ε and λmax change with pH`);
+  return warnings;
+}
+
+// Fit of the on-screen calibration with the selected model (null if too few points)
+function currentFit() {
+  return fitCalibration(currentCalibrationPoints(), fitModel.value);
+}
+
+// Value ± uncertainty, or just the value when the uncertainty is undefined
+function fmtPm(v, se, digits=3) {
+  return Number.isFinite(se) ? `${fmt(v, digits)} ± ${fmt(se, digits)}` : fmt(v, digits);
+}
+
 function updateCalibrationPlot() {
-  const points = calibrationData.map(d => ({ x: d.c_mM, y: d.A }));
-  calibrationChart.data.datasets[0].data = points;
-  if (points.length >= 2) {
-    const { m, b, r2 } = linearRegression(points);
+  const points = currentCalibrationPoints();
+  const fit = currentFit();
+  const [measured, fitLine, linearEnd, bandUpper, bandLower, excluded] = calibrationChart.data.datasets;
+  measured.data = points;
+  measured.backgroundColor = 'rgba(63,81,181,.25)';
+  // Imported points are drawn as triangles
+  measured.pointStyle = fittedCalibrationData().map(d => (isSimulated(d) ? 'circle' : 'triangle'));
+  const excludedData = calibrationData.filter(d => isCurrentCalibration(d) && d.excluded);
+  excluded.data = excludedData.map(d => ({ x: calibX(d), y: d.A }));
+  linearEnd.data = [];
+  bandUpper.data = [];
+  bandLower.data = [];
+  residualChart.data.datasets[0].data = [];
+  if (fit) {
+    const { params, se, r2 } = fit;
     const xs = points.map(p => p.x);
     const minx = Math.min(...xs, 0);
-    const maxx = Math.max(...xs, parseFloat(concentration.max));
-    calibrationChart.data.datasets[1].data = [ { x: minx, y: m*minx + b }, { x: maxx, y: m*maxx + b } ];
-    calibStats.textContent = `m = ${fmt(m,3)}, b = ${fmt(b,3)}, R² = ${fmt(r2,3)}`;
+    const maxx = Math.max(...xs, plotVsPathLength.checked ? 0 : parseFloat(concentration.max));
+    // Sample the curve so quadratic fits and the confidence band draw smoothly
+    const curveXs = Array.from({ length: 41 }, (_, i) => minx + (maxx - minx) * i / 40);
+    fitLine.data = curveXs.map(x => ({ x, y: fit.predict(x) }));
+    if (fit.dof > 0) {
+      bandUpper.data = curveXs.map(x => ({ x, y: fit.predict(x) + fit.band(x) }));
+      bandLower.data = curveXs.map(x => ({ x, y: fit.predict(x) - fit.band(x) }));
+    }
+    residualChart.data.datasets[0].data = points.map((p, i) => ({ x: p.x, y: fit.residuals[i] }));
+    const terms = FIT_MODELS[fit.model].terms;
+    let stats = `m = ${fmtPm(params.m, se.m)}`;
+    if (terms.includes('b')) stats += `, b = ${fmtPm(params.b, se.b)}`;
+    if (terms.includes('q')) stats += `, q = ${fmtPm(params.q, se.q)}`;
+    stats += `, R² = ${fmt(r2,4)}`;
+    // Flag where the response stops following Beer–Lambert
+    const range = linearRange(points);
+    if (points.length >= 3 && range.n < points.length) {
+      const ys = points.map(p => p.y);
+      linearEnd.data = [ { x: range.xMax, y: 0 }, { x: range.xMax, y: Math.max(...ys) } ];
+      measured.backgroundColor = points.map(p => p.x <= range.xMax ? 'rgba(63,81,181,.25)' : 'rgba(198,40,40,.45)');
+      stats += ` · linear to ${fmt(range.xMax, 2)} ${calibXUnit()} (${range.n}/${points.length} points)`;
+    }
+    const imported = fittedCalibrationData().filter(d => !isSimulated(d)).length;
+    if (imported) stats += ` · ${imported} imported`;
+    if (excludedData.length) stats += ` · ${excludedData.length} excluded`;
+    calibStats.textContent = stats;
+    const limits = detectionLimits(fit, points);
+    const unit = calibXUnit();
+    fitDetails.textContent = [
+      `n = ${fit.n}, s(y/x) = ${Number.isFinite(fit.syx) ? fmt(fit.syx, 4) : '—'}`,
+      limits && Number.isFinite(limits.lod)
+        ? `LOD = ${fmt(limits.lod, 4)} ${unit}, LOQ = ${fmt(limits.loq, 4)} ${unit} (${limits.basis})`
+        : 'LOD/LOQ need more points'
+    ].join(' · ');
   } else {
-    calibrationChart.data.datasets[1].data = [];
+    fitLine.data = [];
     calibStats.textContent = 'm = —, b = —, R² = —';
+    fitDetails.textContent = '';
   }
+  const warnings = calibrationWarnings();
+  calibWarnings.textContent = warnings.length ? `⚠ ${warnings.join('; ')}` : '';
   calibrationChart.update('none');
+  residualChart.update('none');
+  renderMeasurementLog();
+  notifyFitChange(fit);
+  updateMixtureCalibrations();
+  updateLesson();
+  scheduleAutosave();
 }
 
 function updateTimePlot() {
+  updateKinetics();
+  updateArrhenius();
+  scheduleAutosave();
   if (!timeChart) return; // not initialized yet
-  timeChart.data.datasets[0].data = timeSeries.map(d => ({ x: d.t_min, y: d.c_mM }));
+  const readings = timeSeries.filter(d => Number.isFinite(d.A));
+  timeChart.data.datasets[0].data = readings.map(d => ({ x: d.t_min, y: d.A }));
+  const fit = fitKinetics(readings)[kineticsModel.value];
+  const tMax = readings.length ? readings[readings.length - 1].t_min : 0;
+  timeChart.data.datasets[1].label = `${RATE_LAWS[kineticsModel.value].label} fit`;
+  timeChart.data.datasets[1].data = fit
+    ? Array.from({ length: 41 }, (_, i) => { const t = tMax * i / 40; return { x: t, y: fit.predict(t) }; })
+    : [];
   timeChart.update('none');
 }
 
+// Rate-law comparison for the latest run: k, half-life and goodness of fit of
+// each integrated rate law, without saying which one is right
+function kineticsRows() {
+  const fits = fitKinetics(timeSeries.filter(d => Number.isFinite(d.A)));
+  return Object.entries(RATE_LAWS).map(([order, law]) => {
+    const fit = fits[order];
+    if (!fit) return [law.label, law.linearForm, '—', '—', '—', '—'];
+    return [
+      law.label, law.linearForm,
+      `${fmtPm(fit.k, fit.seK, 4)} ${law.kUnit}`,
+      Number.isFinite(fit.halfLife) ? `${fmt(fit.halfLife, 1)} min` : '—',
+      fmt(fit.r2, 4),
+      fmt(fit.rmse, 4) + (fit.excluded ? ` (${fit.excluded} A ≤ 0 left out)` : '')
+    ];
+  });
+}
+
+// k of every finished-or-running run at the latest run's pH, with the selected rate law
+function arrheniusRuns() {
+  const latest = bleachRuns[bleachRuns.length - 1];
+  if (!latest || latest.pH === undefined) return [];
+  return bleachRuns
+    .filter(r => r.pH === latest.pH && Number.isFinite(r.temperatureC))
+    .map(r => ({ temperatureC: r.temperatureC, fit: fitRateLaw(r.points.filter(p => Number.isFinite(p.A)), kineticsModel.value) }))
+    .filter(r => r.fit)
+    .map(r => ({ temperatureC: r.temperatureC, k: r.fit.k }));
+}
+
+function updateArrhenius() {
+  const runs = arrheniusRuns();
+  const fit = arrheniusFit(runs);
+  const law = RATE_LAWS[kineticsModel.value];
+  if (!fit) {
+    arrheniusStats.textContent = bleachRuns.length
+      ? 'Record runs at two or more temperatures (same pH) for Eₐ.'
+      : '';
+  } else {
+    arrheniusStats.textContent = `Eₐ = ${fmtPm(fit.Ea, fit.seEa, 1)} kJ/mol, ln A = ${fmt(fit.lnA, 2)}, R² = ${fmt(fit.r2, 4)} `
+      + `(${fit.n} runs, ${law.label.toLowerCase()} k, pH ${bleachRuns[bleachRuns.length - 1].pH})`;
+  }
+  if (!arrheniusChart) return;
+  arrheniusChart.data.datasets[0].data = runs.filter(r => r.k > 0)
+    .map(r => ({ x: 1000 / (r.temperatureC + 273.15), y: Math.log(r.k) }));
+  arrheniusChart.data.datasets[1].data = fit
+    ? [Math.min(...fit.points.map(p => p.x)), Math.max(...fit.points.map(p => p.x))].map(x => ({ x: 1000 * x, y: fit.predict(x) }))
+    : [];
+  arrheniusChart.update('none');
+}
+
+function updateKinetics() {
+  const n = timeSeries.filter(d => Number.isFinite(d.A)).length;
+  if (n < 3) {
+    kineticsTable.innerHTML = '<p class="hint">Record at least three readings to fit rate laws.</p>';
+    return;
+  }
+  const head = ['Model', 'Linear plot', 'k ± SE', 't½', 'R² (linear)', 'RMSE (A)'];
+  kineticsTable.innerHTML = `<table class="mini-table"><thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>`
+    + kineticsRows().map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')
+    + '</tbody></table>';
+}
+
 function updateVisualization(A, T) {
-  // Adjust beam opacity with T (more A => less T => lower opacity)
-  const beamOpacity = clamp(0.15 + 0.85 * T, 0.05, 1);
-  beam.style.opacity = beamOpacity.toString();
-
-  // Solution color/opacity roughly tracks concentration (magenta hue)
-  const c_mM = parseFloat(concentration.value);
-  const hue = 275; // purple
-  const sat = clamp(30 + c_mM * 25, 30, 95);
-  const light = clamp(42 - c_mM * 10, 20, 60);
-  solution.setAttribute('fill', `hsl(${hue} ${sat}% ${light}%)`);
-  solution.setAttribute('opacity', `${clamp(0.5 + c_mM/3, 0.4, 0.9)}`);
+  // Solution colour from the sample's transmission spectrum
+  updateSolutionColour();
 
   // Detector brightness
   const detectorOpacity = clamp(0.35 + 0.65 * T, 0.1, 1);
   detector.style.opacity = detectorOpacity.toString();
   if (T > 0.6) detector.classList.add('detector-glow'); else detector.classList.remove('detector-glow');
 
-  // Photon dots: density based on T
-  const targetCount = Math.round(12 + 80 * T);
-  const current = photonsGroup.childElementCount;
-  if (current < targetCount) {
-    for (let i = current; i < targetCount; i++) {
-      const c = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      c.setAttribute('class', 'photon');
-      c.setAttribute('cx', String(120 + Math.random()*520));
-      c.setAttribute('cy', String(120 + (Math.random()-0.5)*24));
-      c.setAttribute('r', String(1.5 + Math.random()*2.5));
-      c.style.animationDuration = `${2.2 + Math.random()*1.8}s`;
-      // Decide if this photon is fully absorbed at the cuvette (instant fade)
-      const pFull = clamp(0.1 + 0.8 * (1 - T), 0, 0.95); // higher absorption => higher probability
-      const fullAbsorb = Math.random() < pFull;
-      if (fullAbsorb) {
-        c.dataset.absorbFull = '1';
-        c.style.setProperty('--after-opacity', '0');
-      } else {
-        c.dataset.absorbFull = '0';
-        // Set post-cuvette opacity: more absorption (lower T) -> lower opacity
-        const baseAfter = 0.15 + 0.75 * T; // 0.15..0.9 depending on T
-        const jitter = (Math.random()-0.5) * 0.15; // add variety
-        c.style.setProperty('--after-opacity', String(clamp(baseAfter + jitter, 0.05, 0.95)));
-      }
-      c.style.animationDelay = `${-Math.random()*3}s`;
-      photonsGroup.appendChild(c);
-    }
-  } else if (current > targetCount) {
-    for (let i = current; i > targetCount; i--) {
-      photonsGroup.removeChild(photonsGroup.lastChild);
-    }
+  // The beam and photons follow T from the next frame
+  beamT = T;
+  requestBeamFrame();
+}
+
+// --- Beam renderer ---
+// The beam and its photons are drawn on one canvas under the schematic by a single
+// requestAnimationFrame loop, so dragging a slider only changes the target T that
+// the next frame draws. Photons that reach the end of the beam re-enter at the LED
+// with the current T deciding whether they are absorbed in the cuvette. When drawing
+// takes longer than FRAME_BUDGET_MS the photons are thinned out, and they come back
+// on fast frames. The loop stops while the schematic is off screen (the browser
+// already pauses it in background tabs) and draws still frames for reduced motion.
+const VIEW_BOX = { width: 900, height: 240 };      // #instrumentSVG viewBox
+const BEAM = { x: 120, y: 106, width: 520, height: 28 };
+const SPECTROPHOTOMETER_BEAM = { beam: '#b9f6ca', photon: '#16e231' };
+const FRAME_BUDGET_MS = 4;     // drawing time per frame, well inside a 60 Hz frame
+const MIN_PHOTON_SHARE = 0.2;  // never thin below this fraction of the photons
+const beamContext = beamCanvas.getContext('2d');
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+let beamT = 1;
+let beamOpacity = 1;           // eases towards the target like the old CSS transition
+let beamColours = SPECTROPHOTOMETER_BEAM;
+let beamGradient = null;       // rebuilt when the colour changes
+let cuvetteFrontX = 360;       // where photons enter the solution
+let photons = [];              // { x, y, r, speed (px/ms), absorbed, jitter }
+let photonShare = 1;
+let drawMsAverage = 0;
+let beamFrame = 0;             // pending requestAnimationFrame id, 0 when idle
+let lastFrameTs = 0;
+let beamOnScreen = true;
+
+function rgba(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${n >> 16}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
+
+// A photon at x: higher absorbance stops more of them in the cuvette and dims the rest
+function spawnPhoton(x) {
+  return {
+    x, y: BEAM.y + BEAM.height / 2 + (Math.random() - 0.5) * 24, r: 1.5 + Math.random() * 2.5,
+    speed: BEAM.width / ((2.2 + Math.random() * 1.8) * 1000),
+    absorbed: Math.random() < clamp(0.1 + 0.8 * (1 - beamT), 0, 0.95),
+    jitter: (Math.random() - 0.5) * 0.15
+  };
+}
+
+function setBeamColour(colour) {
+  beamColours = colour ? { beam: colour, photon: colour } : SPECTROPHOTOMETER_BEAM;
+  beamGradient = null;
+  requestBeamFrame();
+}
+
+// Match the canvas's pixels to its box; drawing is in viewBox units
+function fitBeamCanvas() {
+  const dpr = window.devicePixelRatio || 1;
+  const width = Math.round(beamCanvas.clientWidth * dpr);
+  const height = Math.round(beamCanvas.clientHeight * dpr);
+  if (beamCanvas.width !== width || beamCanvas.height !== height) {
+    beamCanvas.width = width;
+    beamCanvas.height = height;
   }
+  beamContext.setTransform(width / VIEW_BOX.width, 0, 0, height / VIEW_BOX.height, 0, 0);
+  requestBeamFrame();
+}
 
-  // Update existing photons' post-absorption opacity as T changes
-  for (let i = 0; i < photonsGroup.childElementCount; i++) {
-    const p = photonsGroup.children[i];
-    if (p.dataset && p.dataset.absorbFull === '1') {
-      p.style.setProperty('--after-opacity', '0');
-    } else {
-      const baseAfter = 0.15 + 0.75 * T;
-      const jitter = (Math.random()-0.5) * 0.1;
-      p.style.setProperty('--after-opacity', String(clamp(baseAfter + jitter, 0.05, 0.95)));
-    }
+function requestBeamFrame() {
+  if (!beamFrame) beamFrame = requestAnimationFrame(drawBeam);
+}
+
+function drawBeam(ts) {
+  beamFrame = 0;
+  const still = reducedMotion.matches;
+  const dt = still || !lastFrameTs ? 0 : Math.min(ts - lastFrameTs, 100);
+  lastFrameTs = ts;
+  const started = performance.now();
+
+  const targetOpacity = clamp(0.15 + 0.85 * beamT, 0.05, 1);
+  beamOpacity = still ? targetOpacity : beamOpacity + (targetOpacity - beamOpacity) * Math.min(1, dt / 150);
+  const target = Math.round((12 + 80 * beamT) * photonShare);
+  while (photons.length < target) photons.push(spawnPhoton(BEAM.x + Math.random() * BEAM.width));
+  photons.length = Math.min(photons.length, target);
+
+  const ctx = beamContext;
+  ctx.clearRect(0, 0, VIEW_BOX.width, VIEW_BOX.height);
+  if (!beamGradient) {
+    beamGradient = ctx.createLinearGradient(BEAM.x, 0, BEAM.x + BEAM.width, 0);
+    beamGradient.addColorStop(0, rgba(beamColours.beam, 0.9));
+    beamGradient.addColorStop(1, rgba(beamColours.beam, 0));
+  }
+  ctx.globalAlpha = beamOpacity;
+  ctx.fillStyle = beamGradient;
+  ctx.fillRect(BEAM.x, BEAM.y, BEAM.width, BEAM.height);
+
+  ctx.fillStyle = beamColours.photon;
+  const after = 0.15 + 0.75 * beamT;
+  for (const p of photons) {
+    p.x += p.speed * dt;
+    if (p.x > BEAM.x + BEAM.width) Object.assign(p, spawnPhoton(BEAM.x));
+    const alpha = p.x < cuvetteFrontX ? 0.95 : p.absorbed ? 0 : clamp(after + p.jitter, 0.05, 0.95);
+    if (!alpha) continue;
+    ctx.globalAlpha = alpha;
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, p.r, 0, 2 * Math.PI);
+    ctx.fill();
   }
+  ctx.globalAlpha = 1;
+
+  drawMsAverage = 0.9 * drawMsAverage + 0.1 * (performance.now() - started);
+  if (drawMsAverage > FRAME_BUDGET_MS) photonShare = Math.max(MIN_PHOTON_SHARE, photonShare * 0.9);
+  else if (drawMsAverage < FRAME_BUDGET_MS / 2) photonShare = Math.min(1, photonShare + 0.01);
+
+  if (beamOnScreen && !still) requestBeamFrame();
+  else lastFrameTs = 0;
+}
+
+function startBeamRenderer() {
+  fitBeamCanvas();
+  if (window.ResizeObserver) new ResizeObserver(fitBeamCanvas).observe(beamCanvas);
+  if (window.IntersectionObserver) {
+    new IntersectionObserver(([entry]) => {
+      beamOnScreen = entry.isIntersecting;
+      if (beamOnScreen) requestBeamFrame();
+    }).observe(beamCanvas);
+  }
+  reducedMotion.addEventListener('change', requestBeamFrame);
+}
+
+// Sliders fire input events faster than the screen refreshes. Their handlers
+// schedule one update for the next frame instead of redrawing on every event;
+// calibration = true also redraws the calibration plot. flushUpdate runs a pending
+// update now, for code that reads the readouts straight after moving a slider.
+let updateFrame = 0;
+let updateCalibrationPending = false;
+
+function scheduleUpdate(calibration = false) {
+  updateCalibrationPending = updateCalibrationPending || calibration;
+  if (!updateFrame) updateFrame = requestAnimationFrame(flushUpdate);
+}
+
+function flushUpdate() {
+  if (!updateFrame) return;
+  cancelAnimationFrame(updateFrame);
+  updateFrame = 0;
+  const calibration = updateCalibrationPending;
+  updateCalibrationPending = false;
+  updateAll();
+  if (calibration) updateCalibrationPlot();
 }
 
 function updateAll() {
   const lam = parseFloat(wavelength.value);
-  const c_mM = parseFloat(concentration.value);
-  const l_cm = 1; // fixed path length (cm)
+  const c_mM = sampleConcentration();
+  const l_cm = currentPathLength();
 
-  const trueA = absorbance(lam, c_mM, l_cm);
-  const noisyA = noiseToggle.checked ? trueA + randn() * NOISE_STD_A : trueA;
-  const A = Math.max(0, noisyA);
+  const A = readA(lam, currentSample(), l_cm);
   const T = transmittanceFromA(A);
-  const signal = DETECTOR_MAX * T; // normalized
+  const signal = referenceIntensity() * T; // detector sees I = I_ref · 10^-A
 
   wavelengthOut.textContent = `${Math.round(lam)}`;
-  concentrationOut.textContent = fmt(c_mM, 2);
+  concentrationOut.textContent = fmt(c_mM, activeStandard ? 3 : 2);
+  updateSampleComposition();
   absorbanceOut.textContent = fmt(A, 3);
   transmittanceOut.textContent = `${fmt(T*100,1)}%`;
   detectorOut.textContent = fmt(signal, 3);
+  updateBlankStatus();
 
   updateSpectrum();
   updateVisualization(A, T);
+  updateCuvette(l_cm);
+  describeInstrument(A, T);
+  sonify(signal);
+  updateLesson();
+  scheduleAutosave();
 }
 
-function randn() { // Box-Muller
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+// Redraw the cuvette to match the path length, centred on the beam. Width grows
+// sub-linearly so 0.1 cm stays visible and 10 cm still fits between LED and detector.
+function updateCuvette(l_cm) {
+  const w = Math.round(100 * Math.pow(l_cm, 0.35));
+  cuvetteGroup.setAttribute('transform', `translate(${410 - w / 2}, 40)`);
+  cuvetteBody.setAttribute('width', String(w));
+  solution.setAttribute('width', String(Math.max(4, w - 16)));
+  cuvetteLabel.setAttribute('x', String(w / 2));
+  cuvetteLabel.textContent = `Cuvette (${l_cm} cm)`;
+  cuvetteFrontX = 410 - w / 2;
 }
 
-// Precisely position the unknown overlay arrows and labels to match chart pixels
-function positionUnknownOverlay(A_meas, c_est, c_unknown, m, b) {
+// Precisely position the unknown overlay arrows, bands and labels to match chart pixels.
+// params: A_meas (mean reading) and c_est in chart units, fitY(x) the fitted curve,
+// xPerC converting chart x back to mM for the label (l in c·l mode), and optional
+// ci = { x, y } half-widths of the confidence interval on each axis.
+function positionUnknownOverlay({ A_meas, c_est, fitY, xPerC = 1, ci = null }) {
   if (!unknownOverlay || !calibrationChart) return;
   const canvas = document.getElementById('calibrationChart');
   const svg = unknownOverlay.querySelector('svg');
@@ -324,6 +1011,8 @@ function positionUnknownOverlay(A_meas, c_est, c_unknown, m, b) {
   const arrowV = unknownOverlay.querySelector('#arrowV');
   const aLbl = unknownOverlay.querySelector('#unknownALabel');
   const cLbl = unknownOverlay.querySelector('#unknownCLabel');
+  const bandX = unknownOverlay.querySelector('#unknownBandX');
+  const bandY = unknownOverlay.querySelector('#unknownBandY');
   if (!canvas || !svg || !arrowH || !arrowV || !aLbl || !cLbl) return;
 
   // Align overlay to the chartArea (plot area), not the whole canvas
@@ -352,14 +1041,31 @@ function positionUnknownOverlay(A_meas, c_est, c_unknown, m, b) {
   const xMax = xScale.max ?? parseFloat(concentration.max || '1');
   const cEstClamped = clamp(c_est, xMin, xMax);
 
-  // Convert values to pixel coordinates (relative to canvas top-left)
-  const xData = (xScale.getPixelForValue(c_unknown) - area.left) * scale;
-  const yA = (yScale.getPixelForValue(A_meas) - area.top) * scale;
+  // Convert values to pixel coordinates (relative to canvas top-left); the reading
+  // is taken from the y-axis across to the curve
+  const xData = 0;
   const xFit = (xScale.getPixelForValue(cEstClamped) - area.left) * scale;
   // Use the line-of-best-fit height at x = ĉ to anchor the elbow precisely on the line
-  const yFitAtCEst = (yScale.getPixelForValue(m * cEstClamped + b) - area.top) * scale;
+  const yFitAtCEst = (yScale.getPixelForValue(fitY(cEstClamped)) - area.top) * scale;
   const yAxis0 = (yScale.getPixelForValue(0) - area.top) * scale;
 
+  // Shaded confidence bands: reading ± yCI along the y-axis, ĉ ± xCI down to the x-axis
+  [bandX, bandY].forEach(b => b && b.setAttribute('visibility', ci ? 'visible' : 'hidden'));
+  if (ci && bandX && bandY) {
+    const xLo = clamp((xScale.getPixelForValue(c_est - ci.x) - area.left) * scale, 0, cw);
+    const xHi = clamp((xScale.getPixelForValue(c_est + ci.x) - area.left) * scale, 0, cw);
+    const yHi = clamp((yScale.getPixelForValue(A_meas + ci.y) - area.top) * scale, 0, ch);
+    const yLo = clamp((yScale.getPixelForValue(A_meas - ci.y) - area.top) * scale, 0, ch);
+    bandY.setAttribute('x', '0');
+    bandY.setAttribute('y', String(Math.min(yHi, yLo)));
+    bandY.setAttribute('width', String(Math.max(1, xFit)));
+    bandY.setAttribute('height', String(Math.max(1, Math.abs(yLo - yHi))));
+    bandX.setAttribute('x', String(Math.min(xLo, xHi)));
+    bandX.setAttribute('y', String(Math.min(yFitAtCEst, yAxis0)));
+    bandX.setAttribute('width', String(Math.max(1, Math.abs(xHi - xLo))));
+    bandX.setAttribute('height', String(Math.max(1, Math.abs(yAxis0 - yFitAtCEst))));
+  }
+
   // Update arrow lines
   arrowH.setAttribute('x1', String(xData));
   arrowH.setAttribute('y1', String(yFitAtCEst));
@@ -381,10 +1087,12 @@ function positionUnknownOverlay(A_meas, c_est, c_unknown, m, b) {
 
   // Place labels near arrows with simple clamping to stay inside canvas
   const aText = `A* = ${fmt(A_meas, 3)}`;
-  const cText = `ĉ = ${fmt(c_est, 3)} mM`;
+  const cText = ci && Number.isFinite(ci.x)
+    ? `ĉ = ${fmt(c_est / xPerC, 3)} ± ${fmt(ci.x / xPerC, 3)} mM`
+    : `ĉ = ${fmt(c_est / xPerC, 3)} mM`;
   const aX = clamp(Math.min(xData, xFit) - 6, 2, cw - 2);
   const aY = clamp(yFitAtCEst - 6, 10, ch - 10);
-  const cX = clamp(xFit + 6, 4, cw - 24);
+  const cX = clamp(xFit + 6, 4, cw - 90);
   const cY = clamp(yAxis0 + 14, 12, ch - 4);
   aLbl.textContent = aText;
   aLbl.setAttribute('x', String(aX));
@@ -398,9 +1106,9 @@ function isOverlayVisible() {
   return unknownOverlay && !unknownOverlay.classList.contains('is-hidden');
 }
 
-function showUnknownOverlay(A_meas, c_est, c_unknown, m, b) {
-  positionUnknownOverlay(A_meas, c_est, c_unknown, m, b);
-  lastUnknownOverlayParams = { A_meas, c_est, c_unknown, m, b };
+function showUnknownOverlay(params) {
+  positionUnknownOverlay(params);
+  lastUnknownOverlayParams = params;
   unknownOverlay.classList.remove('is-hidden', 'fading');
   // restart animations
   unknownOverlay.classList.remove('unknown-animate');
@@ -444,147 +1152,1752 @@ function flashMeasurementCue() {
   }
 }
 
-// --- Event wiring ---
-function attachEvents() {
-  [wavelength, concentration, noiseToggle].forEach(inp => {
-    inp.addEventListener('input', updateAll);
-  });
+// --- Pigment selection ---
+function populatePigmentSelect() {
+  for (const id of pigmentIds()) {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = PIGMENTS[id].name;
+    pigmentSelect.appendChild(opt);
+  }
+  pigmentSelect.value = activePigment;
+}
 
-  resetAll.addEventListener('click', () => {
-    // Dismiss any visible unknown overlay on reset
-    if (isOverlayVisible()) hideUnknownOverlay(false);
-    wavelength.value = 538;
-    concentration.value = 0.5;
-  // path length fixed at 1 cm
-    noiseToggle.checked = true;
-    calibrationData = [];
-    updateCalibrationPlot();
-    timeSeries = [];
-    updateTimePlot();
-    stopBleaching();
-    updateAll();
-  });
+// Switch which pigment the concentration slider edits, keeping the rest of the mixture
+function selectPigment(id) {
+  unloadStandard();
+  mixture[activePigment] = parseFloat(concentration.value);
+  activePigment = id;
+  pigmentSelect.value = id;
+  concentration.value = String(mixture[id]);
+  calibrationChart.options.scales.x.title.text = calibXTitle();
+  renderStandards();
+  updateCalibrationPlot();
+  updateAll();
+}
 
-  measureBtn.addEventListener('click', () => {
-    const lam = parseFloat(wavelength.value);
-    const c_mM = parseFloat(concentration.value);
-  const l_cm = 1; // fixed path length (cm)
-    let A = absorbance(lam, c_mM, l_cm);
-    if (noiseToggle.checked) A += randn() * NOISE_STD_A;
-    A = Math.max(0, A);
-    calibrationData.push({ c_mM, A });
-    updateCalibrationPlot();
-    flashMeasurementCue();
-  });
+function resetSample() {
+  mixture = defaultMixture();
+  activePigment = DEFAULT_PIGMENT;
+  concentration.value = String(mixture[activePigment]);
+  selectPigment(DEFAULT_PIGMENT);
+}
 
-  clearCalibration.addEventListener('click', () => {
-    calibrationData = [];
-    updateCalibrationPlot();
-  });
+// A standard shows its label's concentration: the actual one is not known at the bench
+function updateSampleComposition() {
+  const sample = { ...currentSample(), [activePigment]: sampleConcentration() };
+  const parts = Object.keys(sample).filter(id => sample[id] > 0).map(id => (id === activePigment && activeStandard
+    ? `${pigmentShortName(id)} ${fmt(sample[id], 3)} mM (standard ${activeStandard.label})`
+    : `${pigmentShortName(id)} ${fmt(sample[id], 2)} mM`));
+  sampleComposition.textContent = parts.length ? `Sample: ${parts.join(' + ')}` : 'Sample: blank (solvent only)';
+}
 
-  // Auto calibration
-  autoCalibrateBtn.addEventListener('click', () => {
-    if (autoRunning) {
-      stopAutoCalibration();
-    } else {
-      startAutoCalibration();
+// --- Standards preparation ---
+// Calibration standards are made on the bench from a stock of the selected pigment
+// (see dilution.js). A standard in the cuvette is read at its actual concentration,
+// but the calibration records what its label says, so the glassware errors end up
+// in the fit. The actual concentrations only appear in the report.
+let standards = null;        // { pigment, plan, items: [{ label, nominal_mM, actual_mM, u_mM, steps }] }
+let activeStandard = null;   // the standard in the cuvette; null = the slider's exact value
+
+function populateStandardsForm() {
+  const fill = (select, entries) => {
+    for (const [value, label] of entries) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      select.appendChild(opt);
     }
-  });
+  };
+  fill(dilutionMethod, Object.entries(DILUTION_METHODS));
+  fill(pipetteVolume, Object.keys(PIPETTES).map(v => [v, `${v} mL`]));
+  fill(flaskVolume, Object.keys(FLASKS).map(v => [v, `${v} mL`]));
+  for (const select of [pipetteClass, flaskClass]) fill(select, Object.keys(GLASSWARE_CLASSES).map(c => [c, `class ${c}`]));
+  showPlan(DEFAULT_PLAN);
+}
 
-  // Unknown sample: generate a random concentration, add its A at current λ,
-  // estimate ĉ from the current fit, and animate overlay arrows.
-  unknownBtn.addEventListener('click', () => {
-    // If an overlay is already visible, fade it out first before showing a new one
-    if (isOverlayVisible()) {
-      hideUnknownOverlay(true);
-    }
-    // If insufficient points, quickly seed two points using current λ
-    if (calibrationData.length < 2) {
-      const lam = parseFloat(wavelength.value);
-      const seeds = [0.0, Math.min(0.6, parseFloat(concentration.max||'1')/2)];
-      for (const c_mM of seeds) {
-        const Atrue = absorbance(lam, c_mM, 1);
-        const A = Math.max(0, noiseToggle.checked ? Atrue + randn()*NOISE_STD_A : Atrue);
-        calibrationData.push({ c_mM, A });
-      }
-      updateCalibrationPlot();
-    }
+function showPlan(plan) {
+  dilutionMethod.value = plan.method;
+  stockConc.value = String(plan.stockMm);
+  standardCount.value = String(plan.count);
+  pipetteVolume.value = String(plan.pipetteMl);
+  pipetteClass.value = plan.pipetteClass;
+  flaskVolume.value = String(plan.flaskMl);
+  flaskClass.value = plan.flaskClass;
+}
 
-    const lam = parseFloat(wavelength.value);
-    // Random unknown concentration within slider range
-    const cMax = Math.min(1.0, parseFloat(concentration.max || '1'));
-    const cUnknown = +(Math.random() * cMax).toFixed(3);
-    const Atrue = absorbance(lam, cUnknown, 1);
-    const A_meas = Math.max(0, noiseToggle.checked ? Atrue + randn()*NOISE_STD_A : Atrue);
-
-    // Add to dataset as a special point (but don’t keep it permanently to avoid skewing fit)
-    // Show the measurement flash and temporary point
-    flashMeasurementCue();
-    const tempPoint = { c_mM: cUnknown, A: A_meas, _temp: true };
-    calibrationData.push(tempPoint);
-    updateCalibrationPlot();
+function standardsPlan() {
+  return {
+    method: dilutionMethod.value, stockMm: parseFloat(stockConc.value), count: Number(standardCount.value),
+    pipetteMl: Number(pipetteVolume.value), pipetteClass: pipetteClass.value,
+    flaskMl: Number(flaskVolume.value), flaskClass: flaskClass.value
+  };
+}
 
-    // Compute current fit parameters
-    const fit = linearRegression(calibrationData.filter(p => !p._temp).map(d => ({ x: d.c_mM, y: d.A })));
-    const m = fit.m, b = fit.b;
-    const c_est = m !== 0 ? (A_meas - b) / m : 0;
+// Standards of the pigment being calibrated, if any were prepared for it
+function currentStandards() {
+  return standards && standards.pigment === activePigment ? standards.items : [];
+}
 
-    // Show overlay arrows over the chart area and keep visible until next action
-    if (unknownOverlay) {
-      showUnknownOverlay(A_meas, c_est, cUnknown, m, b);
-    }
+function prepareStandardsFromForm() {
+  const plan = standardsPlan();
+  let items;
+  try {
+    items = prepareStandards(plan, rng);
+  } catch (err) {
+    standardsStatus.textContent = `Cannot make these standards: ${err.message}`;
+    standardsStatus.classList.add('warn');
+    return;
+  }
+  unloadStandard();
+  standards = { pigment: activePigment, plan, items };
+  renderStandards();
+  updateAll();
+  announce(`${items.length} standards of ${pigmentShortName(activePigment)} prepared`);
+}
 
-    // Keep temp point for stability until user performs a new action; then remove on hide
-    const scheduleRemoval = () => {
-      const idx = calibrationData.indexOf(tempPoint);
-      if (idx >= 0) calibrationData.splice(idx, 1);
-      updateCalibrationPlot();
-    };
-    // Attach one-time remover after overlay fades
-    const onEndRemove = () => { scheduleRemoval(); unknownOverlay.removeEventListener('animationend', onEndRemove); };
-    unknownOverlay.addEventListener('animationend', onEndRemove);
-  });
+function discardStandards() {
+  unloadStandard();
+  standards = null;
+  renderStandards();
+  updateAll();
+}
 
-  // Dismiss overlay on next action button press (measure/auto/clear/reset)
-  const actionButtons = [measureBtn, autoCalibrateBtn, clearCalibration, resetAll];
-  actionButtons.forEach(btn => btn.addEventListener('click', () => {
-    if (isOverlayVisible()) hideUnknownOverlay(false);
-  }));
+// Put a prepared standard in the cuvette. The slider shows its nominal value.
+// Callers update the readouts.
+function loadStandard(item) {
+  activeStandard = item;
+  concentration.value = String(item.nominal_mM);
+  standardSelect.value = item.label;
+}
 
-  // Reposition overlay on window resize / orientation change for mobile responsiveness
-  window.addEventListener('resize', () => {
-    if (isOverlayVisible() && lastUnknownOverlayParams) {
-      const { A_meas, c_est, c_unknown, m, b } = lastUnknownOverlayParams;
-      positionUnknownOverlay(A_meas, c_est, c_unknown, m, b);
-    }
-  });
+// Back to the slider's exact concentration (moving the slider, switching pigment
+// or bleaching the sample all take the standard out)
+function unloadStandard() {
+  activeStandard = null;
+  standardSelect.value = '';
+}
 
-  downloadData.addEventListener('click', () => {
-    const rows = [['concentration_mM','absorbance_A'], ...calibrationData.map(d => [d.c_mM, d.A])];
-    const csv = rows.map(r => r.join(',')).join('\n');
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url; a.download = 'calibration.csv'; a.click();
-    URL.revokeObjectURL(url);
-  });
+function renderStandards() {
+  const items = currentStandards();
+  standardControl.classList.toggle('is-hidden', !items.length);
+  discardStandardsBtn.classList.toggle('is-hidden', !standards);
+  standardSelect.innerHTML = '';
+  const exact = document.createElement('option');
+  exact.value = '';
+  exact.textContent = 'Slider value (exact)';
+  standardSelect.appendChild(exact);
+  for (const item of items) {
+    const opt = document.createElement('option');
+    opt.value = item.label;
+    opt.textContent = `${item.label}: ${fmt(item.nominal_mM, 4)} mM`;
+    standardSelect.appendChild(opt);
+  }
+  standardSelect.value = activeStandard ? activeStandard.label : '';
+  standardsStatus.classList.remove('warn');
+  if (!standards) {
+    standardsStatus.textContent = '';
+    standardsTable.innerHTML = '';
+    return;
+  }
+  const other = standards.pigment !== activePigment ? ` They are ${PIGMENTS[standards.pigment].name}: select it to use them.` : '';
+  standardsStatus.textContent = `${describePlan(standards.plan)}.${other}`;
+  const rows = standards.items.map(s => `<tr><td>${s.label}</td><td>${escapeHtml(s.steps)}</td><td>${fmt(s.nominal_mM, 4)} ± ${fmt(s.u_mM, 4)}</td></tr>`);
+  standardsTable.innerHTML = '<table class="mini-table"><thead><tr><th>Standard</th><th>Made by</th><th>Nominal ± u (mM)</th></tr></thead>'
+    + `<tbody>${rows.join('')}</tbody></table>`;
+}
 
-  // Bleaching controls
-  bleachRate.addEventListener('input', () => {
-    bleachRateOut.textContent = fmt(parseFloat(bleachRate.value), 3);
-  });
+// Actual vs nominal: error of each standard in % of its label
+function standardErrorPct(s) {
+  return (s.actual_mM - s.nominal_mM) / s.nominal_mM * 100;
+}
 
-  bleachToggle.addEventListener('click', () => {
-    if (bleaching) stopBleaching(); else startBleaching();
-  });
+// How far the labels are off overall, against what the glassware predicts
+function standardsSummary() {
+  const errors = standards.items.map(standardErrorPct);
+  const rms = Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length);
+  const worst = standards.items[errors.reduce((w, e, i) => (Math.abs(e) > Math.abs(errors[w]) ? i : w), 0)];
+  const expected = Math.sqrt(standards.items.reduce((sum, s) => sum + (s.u_mM / s.nominal_mM * 100) ** 2, 0) / errors.length);
+  return `Actual concentrations are off their labels by ${fmt(rms, 2)} % RMS (${fmt(expected, 2)} % expected from the tolerances); `
+    + `the worst is ${worst.label} at ${fmt(standardErrorPct(worst), 2)} %.`;
+}
+
+// --- Unknown sample session ---
+// The hidden concentration may be above the calibrated range, so the student has
+// to notice and dilute. Readings are replicates of one diluted solution at one
+// λ and path length; changing any of those starts the readings again.
+const UNKNOWN_RANGE_FACTOR = 3;   // unknowns go up to 3× the calibration range
+let unknownSession = null;        // { cTrue, pigment, settingsKey, readings, submitted }
+let unknownResults = [];          // submitted sessions, newest last
+
+function unknownSettingsKey() {
+  return `${activePigment}|${wavelength.value}|${pathLength.value}|${dilutionFactor.value}`;
+}
+
+// Concentration range of hidden unknowns: the config's, else 0 to 3× the calibration range
+function unknownRange() {
+  const { min, max } = config.unknown;
+  return { min, max: Math.max(min, max ?? calibrationTop() * UNKNOWN_RANGE_FACTOR) };
+}
+
+function startUnknownSession() {
+  if (isOverlayVisible()) hideUnknownOverlay(true);
+  // If the fit has too few points, quickly seed a minimal calibration at the current λ
+  const termsNeeded = FIT_MODELS[fitModel.value].terms.length;
+  if (currentCalibrationPoints().length < Math.max(2, termsNeeded)) {
+    const lam = parseFloat(wavelength.value);
+    const l_cm = currentPathLength();
+    const cSeed = Math.min(0.6, parseFloat(concentration.max||'1')/2);
+    const seeds = termsNeeded > 2 ? [0.0, cSeed / 2, cSeed] : [0.0, cSeed];
+    recordHistory('seeding a calibration');
+    for (const c_mM of seeds) {
+      const sample = { ...currentSample(), [activePigment]: c_mM };
+      recordCalibrationPoint(c_mM, readA(lam, sample, l_cm), lam, l_cm, 'manual', null, sample);
+    }
+    updateCalibrationPlot();
+  }
+  const { min, max } = unknownRange();
+  unknownSession = {
+    cTrue: +(min + rng() * (max - min)).toFixed(3),
+    pigment: activePigment,
+    settingsKey: '',
+    readings: [],
+    submitted: false
+  };
+  dilutionFactor.value = '1';
+  unknownSession.settingsKey = unknownSettingsKey();
+  unknownSessionPanel.classList.remove('is-hidden');
+  unknownResult.textContent = '';
+  // The last session's submit left both buttons disabled
+  unknownReadBtn.disabled = false;
+  unknownSubmitBtn.disabled = true;
+  readUnknownReplicate();
+}
+
+function readUnknownReplicate() {
+  const session = unknownSession;
+  if (!session || session.submitted) return;
+  if (session.pigment !== activePigment) selectPigment(session.pigment);
+  const key = unknownSettingsKey();
+  if (key !== session.settingsKey) {
+    session.settingsKey = key;
+    session.readings = [];
+  }
+  const lam = parseFloat(wavelength.value);
+  const dilution = parseFloat(dilutionFactor.value);
+  const A = readA(lam, { ...currentSample(), [activePigment]: session.cTrue / dilution }, currentPathLength());
+  session.readings.push(A);
+  flashMeasurementCue();
+  renderUnknownSession();
+}
+
+// ĉ ± CI in the original (undiluted) unknown, or null without a usable fit
+function unknownEstimate() {
+  const session = unknownSession;
+  const fit = currentFit();
+  const pred = session && inversePrediction(fit, session.readings);
+  if (!pred) return null;
+  const xPerC = plotVsPathLength.checked ? currentPathLength() : 1;
+  const dilution = parseFloat(dilutionFactor.value);
+  return { fit, pred, xPerC, dilution, c: pred.x0 / xPerC * dilution, ci: pred.ci / xPerC * dilution };
+}
+
+function renderUnknownSession() {
+  const session = unknownSession;
+  if (!session) return;
+  unknownReadings.textContent = session.readings.length
+    ? `Readings (×${dilutionFactor.value} dilution): ${session.readings.map(A => fmt(A, 3)).join(', ')}`
+    : 'No readings at these settings yet — press Read replicate.';
+  const est = unknownEstimate();
+  unknownSubmitBtn.disabled = !est || session.submitted;
+  if (!est) {
+    unknownEstimateOut.textContent = session.readings.length ? 'Need a calibration fit to estimate ĉ.' : '';
+    if (isOverlayVisible()) hideUnknownOverlay(true);
+    return;
+  }
+  const { pred, xPerC, dilution, c, ci } = est;
+  const ciText = Number.isFinite(ci) ? ` ± ${fmt(ci, 3)}` : '';
+  let text = `ĉ = ${fmt(c, 3)}${ciText} mM (95% CI, k = ${pred.k}`;
+  text += dilution !== 1 ? `, ×${dilution} dilution)` : ')';
+  if (pred.outOfRange) text += ' · ⚠ reading is outside the calibrated range: dilute and re-read';
+  unknownEstimateOut.textContent = text;
+  showUnknownOverlay({
+    A_meas: pred.yMean, c_est: pred.x0, fitY: est.fit.predict, xPerC,
+    ci: Number.isFinite(pred.ci) ? { x: pred.ci, y: pred.yCi } : null
+  });
+}
+
+function submitUnknown() {
+  const session = unknownSession;
+  const est = unknownEstimate();
+  if (!session || session.submitted || !est) return;
+  session.submitted = true;
+  const errorPct = session.cTrue !== 0 ? (est.c - session.cTrue) / session.cTrue * 100 : NaN;
+  const withinCi = Number.isFinite(est.ci) && Math.abs(est.c - session.cTrue) <= est.ci;
+  const result = {
+    pigment: session.pigment, lambda: parseFloat(wavelength.value), l_cm: currentPathLength(),
+    dilution: est.dilution, readings: [...session.readings], fitModel: fitModel.value,
+    c_est: est.c, ci: est.ci, c_true: session.cTrue, errorPct
+  };
+  unknownResults.push(result);
+  emit('unknownresult', { ...result, readings: [...result.readings] });
+  unknownResult.textContent = `True value ${fmt(session.cTrue, 3)} mM · error ${Number.isFinite(errorPct) ? fmt(errorPct, 1) + '%' : '—'}`
+    + (Number.isFinite(est.ci) ? ` · ${withinCi ? 'inside' : 'outside'} your 95% interval` : '');
+  unknownSubmitBtn.disabled = true;
+  unknownReadBtn.disabled = true;
+  updateLesson();
+  scheduleAutosave();
+}
+
+function endUnknownSession() {
+  unknownSession = null;
+  unknownSessionPanel.classList.add('is-hidden');
+  unknownReadBtn.disabled = false;
+  if (isOverlayVisible()) hideUnknownOverlay(false);
+}
+
+// --- Instrument type ---
+// A spectrophotometer sets any λ with a narrow band; a school colorimeter only has
+// a few LEDs, each read through its whole emission band. The schematic's source,
+// beam and photons glow in the LED's colour; the spectrophotometer keeps its
+// green source and pale beam.
+let activeLed = DEFAULT_LED;
+const SPECTROPHOTOMETER_LED = led.getAttribute('fill');
+
+function isColorimeterMode() { return instrumentType.value === 'colorimeter'; }
+
+function populateLeds() {
+  for (const [id, { label, peakNm, color }] of Object.entries(LEDS)) {
+    const option = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'led';
+    input.value = id;
+    input.checked = id === activeLed;
+    const dot = document.createElement('span');
+    dot.className = 'led-dot';
+    dot.style.background = color;
+    option.append(input, dot, ` ${label} ${peakNm} nm`);
+    ledOptions.appendChild(option);
+  }
+}
+
+// The LED whose peak is at λ, if any
+function ledAt(lam) {
+  return Object.keys(LEDS).find(id => LEDS[id].peakNm === lam) || null;
+}
+
+// Show the controls of the selected instrument and move λ to the LED peak.
+// Callers update the readouts and plots.
+function applyInstrumentType() {
+  const colorimeter = isColorimeterMode();
+  if (colorimeter) stopScan();
+  wavelengthControl.classList.toggle('is-hidden', colorimeter);
+  ledControl.classList.toggle('is-hidden', !colorimeter);
+  for (const input of ledOptions.querySelectorAll('input')) input.checked = input.value === activeLed;
+  bandwidth.disabled = colorimeter;
+  scanBtn.disabled = colorimeter || autoRunning;
+  if (colorimeter) {
+    const { peakNm, fwhmNm } = LEDS[activeLed];
+    wavelength.value = String(peakNm);
+    ledProfile.textContent = `Emission peak ${peakNm} nm, ${fwhmNm} nm wide (FWHM)`;
+    bandwidthOut.textContent = `${fwhmNm}`;
+  } else {
+    bandwidthOut.textContent = `${Math.round(parseFloat(bandwidth.value))}`;
+  }
+  renderScanResult();
+  updateSourceColour();
+}
+
+function updateSourceColour() {
+  const colour = isColorimeterMode() ? LEDS[activeLed].color : null;
+  led.setAttribute('fill', colour || SPECTROPHOTOMETER_LED);
+  setBeamColour(colour);
+}
+
+// Move the instrument to λ. A colorimeter can only sit on an LED peak, so any
+// other λ switches back to the spectrophotometer.
+function showWavelength(lam) {
+  if (isColorimeterMode()) {
+    const id = ledAt(lam);
+    if (id) activeLed = id;
+    else instrumentType.value = 'spectrophotometer';
+    applyInstrumentType();
+  }
+  wavelength.value = String(lam);
+}
+
+// The wavelength cannot change while a run is reading at a fixed λ
+function lockWavelength(locked) {
+  wavelength.disabled = locked;
+  instrumentType.disabled = locked;
+  ledControl.disabled = locked;
+}
+
+// --- Solution colour ---
+// The colour of the light through the cuvette: T(λ) of the true sample (no
+// instrument noise or optics) under the chosen illuminant. `scale` dilutes the
+// whole sample, for the dilution path on the chromaticity diagram.
+const DILUTION_PATH_STEPS = 20;
+
+function populateIlluminants() {
+  for (const [id, { label }] of Object.entries(ILLUMINANTS)) {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = label;
+    illuminant.appendChild(opt);
+  }
+}
+
+function sampleColour(scale = 1) {
+  const base = currentSample();
+  const sample = Object.fromEntries(Object.entries(base).map(([id, c]) => [id, c * scale]));
+  const l_cm = currentPathLength();
+  const { pH } = currentEnvironment();
+  return solutionColor(lam => transmittanceFromA(absorbance(lam, sample, l_cm, pH)), illuminant.value);
+}
+
+function dilutionPath() {
+  return Array.from({ length: DILUTION_PATH_STEPS + 1 }, (_, i) => ({ scale: i / DILUTION_PATH_STEPS, colour: sampleColour(i / DILUTION_PATH_STEPS) }));
+}
+
+function updateSolutionColour() {
+  const colour = sampleColour();
+  const { L, a, b } = colour.lab;
+  solution.setAttribute('fill', colour.srgb.hex);
+  solution.setAttribute('opacity', '0.9');
+  colourSwatch.style.background = colour.srgb.hex;
+  labOut.textContent = `${fmt(L, 1)}, ${fmt(a, 1)}, ${fmt(b, 1)}`;
+  colourStats.textContent = [
+    `XYZ ${fmt(colour.xyz.X, 1)}, ${fmt(colour.xyz.Y, 1)}, ${fmt(colour.xyz.Z, 1)}`,
+    `xy ${fmt(colour.x, 4)}, ${fmt(colour.y, 4)}`,
+    `sRGB ${colour.srgb.hex}` + (colour.srgb.outOfGamut ? ' (outside the sRGB gamut: clipped)' : '')
+  ].join(' · ');
+  if (chromaticityChart && !chromaticityBox.classList.contains('is-hidden')) {
+    const [, , white, path, sample] = chromaticityChart.data.datasets;
+    white.data = [chromaticity(whitePoint(illuminant.value))];
+    path.data = dilutionPath().map(p => ({ x: p.colour.x, y: p.colour.y })).filter(p => Number.isFinite(p.x));
+    sample.data = Number.isFinite(colour.x) ? [{ x: colour.x, y: colour.y }] : [];
+    sample.backgroundColor = colour.srgb.hex;
+    chromaticityChart.update('none');
+  }
+}
+
+// --- Mixture analysis ---
+// Calibrations grouped by pigment and λ, each with its own straight-line fit. Only
+// pure standards count: a reading with other pigments in the cuvette carries their
+// absorbance too, which would end up in both the slope and the intercept.
+function calibrationSets() {
+  const groups = new Map();
+  for (const d of calibrationData.filter(d => !d.excluded && !(d.matrix_mM > 0))) {
+    const key = `${d.pigment}@${d.lambda}`;
+    if (!groups.has(key)) groups.set(key, { pigment: d.pigment, lambda: d.lambda, points: [] });
+    groups.get(key).points.push({ x: d.c_mM * d.l_cm, y: d.A });
+  }
+  return [...groups.values()]
+    .filter(g => g.points.length >= 2)
+    .map(g => ({ pigment: g.pigment, lambda: g.lambda, n: g.points.length, ...linearRegression(g.points) }));
+}
+
+// Usable design: calibrated pigments, and the wavelengths at which every one of them is calibrated
+function mixtureDesign() {
+  const sets = calibrationSets();
+  const pigments = [...new Set(sets.map(c => c.pigment))];
+  const lambdas = [...new Set(sets.map(c => c.lambda))]
+    .filter(lam => pigments.every(id => sets.some(c => c.pigment === id && c.lambda === lam)))
+    .sort((a, b) => a - b);
+  const setFor = (id, lam) => sets.find(c => c.pigment === id && c.lambda === lam);
+  return { sets, pigments, lambdas, setFor };
+}
+
+function updateMixtureCalibrations() {
+  const { sets, pigments, lambdas } = mixtureDesign();
+  if (!sets.length) {
+    mixtureCalibrations.innerHTML = '<p class="hint">No calibrations yet.</p>';
+  } else {
+    const rows = sets
+      .sort((a, b) => a.lambda - b.lambda || a.pigment.localeCompare(b.pigment))
+      .map(c => `<tr><td>${pigmentShortName(c.pigment)}</td><td>${c.lambda}</td><td>${c.n}</td><td>${fmt(c.m, 3)}</td><td>${fmt(c.r2, 4)}</td></tr>`);
+    mixtureCalibrations.innerHTML = `<table class="mini-table"><thead><tr><th>Pigment</th><th>λ (nm)</th><th>n</th><th>slope (A/(mM·cm))</th><th>R²</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+  }
+  const ready = pigments.length >= 2 && lambdas.length >= pigments.length;
+  unknownMixtureBtn.disabled = !ready;
+  unknownMixtureBtn.title = ready
+    ? `Solve ${pigments.length} components from ${lambdas.length} wavelengths`
+    : 'Calibrate at least two pigments, each at as many shared wavelengths as there are pigments';
+}
+
+// Prepare a hidden mixture of the calibrated pigments, read it at each usable λ and solve
+function runUnknownMixture() {
+  const { pigments, lambdas, setFor } = mixtureDesign();
+  if (pigments.length < 2 || lambdas.length < pigments.length) return;
+  const cMax = calibrationTop();
+  const hidden = Object.fromEntries(pigments.map(id => [id, +(rng() * cMax).toFixed(3)]));
+  const l_cm = currentPathLength();
+  const absorbances = lambdas.map(lam => readA(lam, hidden, l_cm));
+  // Slopes are per mM·cm, so scale them to the cuvette in use
+  const sensitivities = lambdas.map(lam => pigments.map(id => setFor(id, lam).m * l_cm));
+  // Blank at each λ: the solvent alone, read in the same cuvette
+  const blanks = lambdas.map(lam => readA(lam, {}, l_cm));
+  const result = solveMixture(sensitivities, absorbances, blanks);
+  flashMeasurementCue();
+  if (!result) {
+    mixtureResult.innerHTML = '<p class="hint">The calibrations at these wavelengths cannot separate the components (singular system). Choose wavelengths where the pigments absorb differently.</p>';
+    return;
+  }
+  const compRows = pigments.map((id, i) => {
+    const est = result.concentrations[i];
+    const err = hidden[id] !== 0 ? ` (${fmt((est - hidden[id]) / hidden[id] * 100, 1)}%)` : '';
+    return `<tr><td>${pigmentShortName(id)}</td><td>${fmt(est, 3)}</td><td>${fmt(hidden[id], 3)}</td><td>${fmt(est - hidden[id], 3)}${err}</td></tr>`;
+  });
+  const lamRows = lambdas.map((lam, j) => `<tr><td>${lam}</td><td>${fmt(absorbances[j], 3)}</td><td>${fmt(result.predicted[j], 3)}</td><td>${fmt(result.residuals[j], 4)}</td></tr>`);
+  const method = lambdas.length === pigments.length ? 'simultaneous equations' : 'least squares';
+  mixtureResult.innerHTML = `
+    <p class="hint">Solved by ${method} at ${lambdas.join(', ')} nm.</p>
+    <table class="mini-table"><thead><tr><th>Component</th><th>ĉ (mM)</th><th>true (mM)</th><th>error</th></tr></thead><tbody>${compRows.join('')}</tbody></table>
+    <table class="mini-table"><thead><tr><th>λ (nm)</th><th>A measured</th><th>A fitted</th><th>residual</th></tr></thead><tbody>${lamRows.join('')}</tbody></table>`;
+}
+
+// --- Membrane permeability practical ---
+// Each press incubates a fresh disc (a biological replicate) and reads its extract
+// at the current λ and path length. The plot shows readings for the selected
+// treatment and incubation time, with the mean at each level.
+let leakageData = [];   // {condition, level, incubationMin, lambda, l_cm, A, disc}
+
+function leakageAxisTitle() {
+  const cond = MEMBRANE.conditions[leakCondition.value];
+  return `${cond.label} (${cond.unit})`;
+}
+
+function selectLeakCondition() {
+  const cond = MEMBRANE.conditions[leakCondition.value];
+  leakUnit.textContent = cond.unit;
+  leakLevel.min = String(cond.min);
+  leakLevel.max = String(cond.max);
+  leakLevel.value = String(leakCondition.value === 'temperature' ? 40 : 20);
+  if (leakageChart) leakageChart.options.scales.x.title.text = leakageAxisTitle();
+  updateLeakagePlot();
+}
+
+function measureDisc() {
+  const condition = leakCondition.value;
+  const cond = MEMBRANE.conditions[condition];
+  const level = parseFloat(leakLevel.value);
+  if (!Number.isFinite(level) || level < cond.min || level > cond.max) {
+    leakStatus.textContent = `${cond.label} must be ${cond.min}–${cond.max} ${cond.unit}`;
+    leakStatus.classList.add('warn');
+    return;
+  }
+  const incubationMin = parseFloat(leakTime.value);
+  const lam = parseFloat(wavelength.value);
+  const l_cm = currentPathLength();
+  const { sample } = simulateDiscExtract(condition, level, incubationMin, rng);
+  const A = readA(lam, sample, l_cm);
+  const disc = leakageData.length + 1;
+  leakageData.push({ condition, level, incubationMin, lambda: lam, l_cm, A, disc });
+  leakStatus.textContent = `Disc ${disc}: ${level} ${cond.unit}, ${incubationMin} min → A = ${fmt(A, 3)} at ${lam} nm`;
+  leakStatus.classList.remove('warn');
+  flashMeasurementCue();
+  updateLeakagePlot();
+}
+
+function currentLeakagePoints() {
+  const incubationMin = parseFloat(leakTime.value);
+  return leakageData.filter(d => d.condition === leakCondition.value && d.incubationMin === incubationMin);
+}
+
+// Mean, SD and n of the readings at each treatment level, lowest level first
+function leakageSummary(points) {
+  const byLevel = new Map();
+  for (const d of points) {
+    if (!byLevel.has(d.level)) byLevel.set(d.level, []);
+    byLevel.get(d.level).push(d.A);
+  }
+  return [...byLevel.entries()].sort((a, b) => a[0] - b[0]).map(([level, As]) => {
+    const mean = As.reduce((s, A) => s + A, 0) / As.length;
+    const sd = As.length > 1 ? Math.sqrt(As.reduce((s, A) => s + (A - mean) ** 2, 0) / (As.length - 1)) : NaN;
+    return { level, n: As.length, mean, sd };
+  });
+}
+
+function updateLeakagePlot() {
+  const points = currentLeakagePoints();
+  const summary = leakageSummary(points);
+  const cond = MEMBRANE.conditions[leakCondition.value];
+  leakageTable.innerHTML = summary.length
+    ? `<table class="mini-table"><thead><tr><th>${cond.label} (${cond.unit})</th><th>n</th><th>Mean A</th><th>SD</th></tr></thead><tbody>`
+      + summary.map(r => `<tr><td>${r.level}</td><td>${r.n}</td><td>${fmt(r.mean, 3)}</td><td>${Number.isFinite(r.sd) ? fmt(r.sd, 3) : '—'}</td></tr>`).join('')
+      + '</tbody></table>'
+    : '<p class="hint">No discs measured for this treatment and time yet.</p>';
+  scheduleAutosave();
+  if (!leakageChart) return;
+  leakageChart.data.datasets[0].data = points.map(d => ({ x: d.level, y: d.A }));
+  leakageChart.data.datasets[1].data = summary.map(r => ({ x: r.level, y: r.mean }));
+  leakageChart.update('none');
+}
+
+// --- Guided lessons ---
+// A lesson run checks its current step after every state change (updateAll,
+// updateCalibrationPlot and a submitted unknown). Lessons loaded from a file are
+// added to the built-in list for this page visit.
+let lessons = [...BUILT_IN_LESSONS];
+let lessonRun = null;
+
+function populateLessonSelect(selectedId = lessonSelect.value) {
+  lessonSelect.innerHTML = '';
+  for (const lesson of lessons) {
+    const opt = document.createElement('option');
+    opt.value = lesson.id;
+    opt.textContent = lesson.title;
+    lessonSelect.appendChild(opt);
+  }
+  if (lessons.some(l => l.id === selectedId)) lessonSelect.value = selectedId;
+  describeSelectedLesson();
+}
+
+function selectedLesson() {
+  return lessons.find(l => l.id === lessonSelect.value);
+}
+
+function describeSelectedLesson() {
+  const lesson = selectedLesson();
+  lessonDescription.textContent = lesson
+    ? `${lesson.description} ${lesson.steps.length} steps, ${maxScore(lesson)} points; each hint costs ${lesson.hintPenalty}.`.trim()
+    : '';
+}
+
+// λmax of the current pigment and pH. peakWavelength() steps through every nm of
+// the range, too slow for each update, so it is kept until either input changes
+// (or a config reshapes the spectra).
+let lambdaMaxKey = null;
+let lambdaMaxNm = NaN;
+
+function currentLambdaMax() {
+  const { pH } = currentEnvironment();
+  const key = `${activePigment}@${pH}`;
+  if (key !== lambdaMaxKey) {
+    lambdaMaxKey = key;
+    lambdaMaxNm = peakWavelength(activePigment, pH);
+  }
+  return lambdaMaxNm;
+}
+
+// Snapshot of everything a lesson condition may look at
+function lessonState() {
+  const fit = currentFit();
+  return {
+    wavelength: Math.round(parseFloat(wavelength.value)),
+    lambdaMax: currentLambdaMax(),
+    pigment: activePigment,
+    concentration: parseFloat(concentration.value),
+    pathLength: currentPathLength(),
+    noise: noiseToggle.checked,
+    fitModel: fitModel.value,
+    blankAgeMin: blankAgeMinutes(),
+    calibration: { n: currentCalibrationPoints().length, r2: fit ? fit.r2 : NaN },
+    scanLambdaMax,
+    unknownResults: unknownResults.map(r => ({ errorPct: r.errorPct }))
+  };
+}
+
+function startSelectedLesson() {
+  const lesson = selectedLesson();
+  if (!lesson) return;
+  lessonRun = startLesson(lesson, lessonState());
+  lessonHints.innerHTML = '';
+  lessonMessage.textContent = '';
+  lessonMessage.classList.remove('warn');
+  renderLesson('');
+}
+
+function endLesson() {
+  lessonRun = null;
+  lessonRunPanel.classList.add('is-hidden');
+  lessonMessage.textContent = '';
+}
+
+function updateLesson() {
+  if (!lessonRun || lessonRun.finished) return;
+  const { completed, detail } = checkLesson(lessonRun, lessonState());
+  if (completed) {
+    lessonHints.innerHTML = '';
+    lessonMessage.textContent = `✓ Step ${lessonRun.stepIndex} done: +${completed.score} of ${completed.step.points} points`;
+    if (lessonRun.finished) {
+      lessonMessage.textContent += ` · Lesson complete, score ${totalScore(lessonRun)} / ${maxScore(lessonRun.lesson)}`;
+    }
+  }
+  renderLesson(completed ? '' : detail);
+}
+
+function renderLesson(detail) {
+  const run = lessonRun;
+  const step = currentStep(run);
+  const total = run.lesson.steps.length;
+  lessonRunPanel.classList.remove('is-hidden');
+  lessonProgress.textContent = step ? `Step ${run.stepIndex + 1} of ${total}` : `${run.lesson.title}: finished`;
+  lessonScore.textContent = `Score ${totalScore(run)} / ${maxScore(run.lesson)}`;
+  lessonInstruction.textContent = step ? step.instruction : 'Well done. Pick another lesson or start this one again.';
+  lessonDetail.textContent = step && detail ? `Now: ${detail}` : '';
+  lessonHintBtn.disabled = !step || run.hintsShown >= step.hints.length;
+  lessonHintBtn.title = step ? `Each hint costs ${run.lesson.hintPenalty} points` : '';
+}
+
+function showLessonHint() {
+  if (!lessonRun) return;
+  const hint = takeHint(lessonRun);
+  if (hint === null) return;
+  const li = document.createElement('li');
+  li.textContent = hint;
+  lessonHints.appendChild(li);
+  lessonHintBtn.disabled = lessonRun.hintsShown >= currentStep(lessonRun).hints.length;
+}
+
+function loadLessonFile(file) {
+  file.text()
+    .then(text => {
+      const lesson = parseLesson(text);
+      lessons = [...lessons.filter(l => l.id !== lesson.id), lesson];
+      populateLessonSelect(lesson.id);
+      lessonMessage.textContent = `Loaded lesson "${lesson.title}" (${lesson.steps.length} step${lesson.steps.length > 1 ? 's' : ''})`;
+      lessonMessage.classList.remove('warn');
+    })
+    .catch(err => {
+      lessonMessage.textContent = `Could not load the lesson: ${err.message}`;
+      lessonMessage.classList.add('warn');
+    });
+}
+
+// --- CSV import ---
+// Bench data comes in as a file whose columns the user maps onto c, A and
+// (optionally) λ, l, pigment and source. Every change re-validates the rows, and
+// only rows without errors are imported.
+let importParsed = null;    // parseCsv() result of the chosen file
+let importFileName = '';
+
+function populateImportUnits() {
+  for (const [id, unit] of Object.entries(CONCENTRATION_UNITS)) {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = unit.label;
+    importUnit.appendChild(opt);
+  }
+}
+
+function readImportFile(file) {
+  file.text()
+    .then(text => {
+      importParsed = parseCsv(text);
+      importFileName = file.name;
+      const guess = guessMapping(importParsed);
+      importUnit.value = guess.unit;
+      if (guess.unit === 'mgL' && !importMolarMass.value) importMolarMass.value = String(PIGMENTS[activePigment].molarMass);
+      renderImportMapping(guess.mapping);
+      importPreview.classList.remove('warn');
+      previewImport();
+    })
+    .catch(err => {
+      importParsed = null;
+      importMapping.innerHTML = '';
+      importErrors.innerHTML = '';
+      importBtn.disabled = true;
+      importPreview.textContent = `Could not read ${file.name}: ${err.message}`;
+      importPreview.classList.add('warn');
+    });
+}
+
+// One select per field listing the file's columns
+function renderImportMapping(mapping) {
+  importMapping.innerHTML = '';
+  for (const [field, def] of Object.entries(IMPORT_FIELDS)) {
+    const label = document.createElement('label');
+    label.className = 'calib-option';
+    label.textContent = `${def.label} `;
+    const select = document.createElement('select');
+    select.dataset.field = field;
+    const none = document.createElement('option');
+    none.value = '-1';
+    none.textContent = def.required ? '— choose —'
+      : field === 'source' ? '— file name —'
+      : field === 'excluded' ? '— none, all in the fit —'
+      : '— current setting —';
+    select.appendChild(none);
+    importParsed.headers.forEach((h, i) => {
+      const opt = document.createElement('option');
+      opt.value = String(i);
+      opt.textContent = h;
+      select.appendChild(opt);
+    });
+    select.value = String(mapping[field]);
+    label.appendChild(select);
+    importMapping.appendChild(label);
+  }
+}
+
+function currentImportMapping() {
+  const mapping = {};
+  importMapping.querySelectorAll('select').forEach(sel => { mapping[sel.dataset.field] = parseInt(sel.value, 10); });
+  return mapping;
+}
+
+function convertImport() {
+  return convertRows(importParsed, {
+    mapping: currentImportMapping(),
+    unit: importUnit.value,
+    molarMass: parseFloat(importMolarMass.value),
+    defaults: { lambda: parseFloat(wavelength.value), l_cm: currentPathLength(), pigment: activePigment },
+    source: importFileName
+  });
+}
+
+function previewImport() {
+  importMolarMassRow.classList.toggle('is-hidden', importUnit.value !== 'mgL');
+  importErrors.innerHTML = '';
+  if (!importParsed) return;
+  const { points, errors } = convertImport();
+  importPreview.textContent = `${importFileName}: ${importParsed.rows.length} rows · ${points.length} valid`
+    + (errors.length ? ` · ${errors.length} with errors (skipped)` : '');
+  const shown = errors.slice(0, 8);
+  for (const e of shown) {
+    const li = document.createElement('li');
+    li.textContent = e.line === null ? `Mapping: ${e.message}` : `Line ${e.line}: ${e.message}`;
+    importErrors.appendChild(li);
+  }
+  if (errors.length > shown.length) {
+    const li = document.createElement('li');
+    li.textContent = `…and ${errors.length - shown.length} more`;
+    importErrors.appendChild(li);
+  }
+  importBtn.disabled = points.length === 0;
+  importBtn.textContent = `Import ${points.length} point${points.length === 1 ? '' : 's'}`;
+}
+
+function importPoints() {
+  if (!importParsed) return;
+  const { points } = convertImport();
+  if (!points.length) return;
+  if (isOverlayVisible()) hideUnknownOverlay(true);
+  recordHistory('import');
+  calibrationData.push(...points);
+  // Show the imported calibration if none of it is on screen
+  if (!points.some(isCurrentCalibration)) {
+    showWavelength(points[0].lambda);
+    if (points[0].pigment !== activePigment) selectPigment(points[0].pigment);
+  }
+  const sets = [...new Set(points.map(d => `${pigmentShortName(d.pigment)} at ${d.lambda} nm`))];
+  importPreview.textContent = `Imported ${points.length} point${points.length === 1 ? '' : 's'} from ${importFileName} (${sets.join(', ')})`;
+  importErrors.innerHTML = '';
+  importBtn.disabled = true;
+  importParsed = null;
+  importFile.value = '';
+  updateCalibrationPlot();
+  updateAll();
+}
+
+// --- Class comparison ---
+// Groups loaded from exported CSVs or session files; compareGroups() fits and flags them
+const GROUP_COLORS = ['#1e88e5', '#e53935', '#43a047', '#fb8c00', '#8e24aa', '#00acc1', '#6d4c41', '#c0ca33', '#d81b60', '#546e7a'];
+let classGroups = [];       // {name, points, unknownResults}
+let classComparison = { rows: [], summary: null };
+
+function loadClassroomFiles(files) {
+  const defaults = { lambda: parseFloat(wavelength.value), l_cm: currentPathLength(), pigment: activePigment };
+  Promise.all([...files].map(file => file.text()
+    .then(text => ({ group: groupFromFile(file.name, text, defaults) }))
+    .catch(err => ({ error: `${file.name}: ${err.message}` }))))
+    .then(results => {
+      for (const { group } of results.filter(r => r.group)) {
+        classGroups = [...classGroups.filter(g => g.name !== group.name), group];
+      }
+      classroomErrors.innerHTML = '';
+      for (const { error } of results.filter(r => r.error)) {
+        const li = document.createElement('li');
+        li.textContent = error;
+        classroomErrors.appendChild(li);
+      }
+      updateClassroomPlot();
+    });
+}
+
+function updateClassroomPlot() {
+  classComparison = compareGroups(classGroups);
+  const { rows, summary } = classComparison;
+  if (classroomChart) {
+    classroomChart.data.datasets = rows.flatMap((r, i) => {
+      const color = GROUP_COLORS[i % GROUP_COLORS.length];
+      const points = r.points.map(d => ({ x: d.c_mM * d.l_cm, y: d.A }));
+      const xMax = Math.max(0, ...points.map(p => p.x));
+      return [
+        { label: r.name, data: points, borderColor: color, backgroundColor: color, showLine: false, pointRadius: 3 },
+        { label: `${r.name} fit`, isFit: true, data: r.fit ? [{ x: 0, y: r.fit.predict(0) }, { x: xMax, y: r.fit.predict(xMax) }] : [],
+          borderColor: color, borderWidth: r.flags.length ? 2.5 : 1.5, borderDash: r.flags.length ? [6, 3] : [], showLine: true, pointRadius: 0 }
+      ];
+    });
+    classroomChart.update('none');
+  }
+  if (!rows.length) {
+    classroomStatus.textContent = '';
+    classroomTable.innerHTML = '<p class="hint">No groups loaded.</p>';
+    return;
+  }
+  const flagged = rows.filter(r => r.flags.length).length;
+  classroomStatus.textContent = [
+    `${rows.length} group${rows.length > 1 ? 's' : ''}`,
+    summary ? `median slope ${fmt(summary.medianSlope, 3)} A/(mM·cm), median intercept ${fmt(summary.medianIntercept, 4)}` : 'no fits yet',
+    `${flagged} flagged`,
+    summary && summary.mixedSettings ? '⚠ groups used different pigments or wavelengths: compare slopes with care' : ''
+  ].filter(Boolean).join(' · ');
+  const body = rows.map(r => `<tr${r.flags.length ? ' class="warn"' : ''}><td>${escapeHtml(r.name)}</td>`
+    + `<td>${r.pigment ? `${pigmentShortName(r.pigment)} ${r.lambda}` : '—'}</td><td>${r.n}</td>`
+    + `<td>${r.fit ? fmtPm(r.m, r.fit.se.m, 3) : '—'}</td><td>${r.fit ? fmtPm(r.b, r.fit.se.b, 4) : '—'}</td>`
+    + `<td>${r.fit ? fmt(r.r2, 4) : '—'}</td>`
+    + `<td>${r.unknownCount ? `${fmt(r.meanAbsError, 1)}% (${r.unknownCount})` : '—'}</td>`
+    + `<td>${escapeHtml(r.flags.join('; ') || 'ok')}</td></tr>`);
+  classroomTable.innerHTML = '<table class="mini-table"><thead><tr><th>Group</th><th>Pigment λ (nm)</th><th>n</th>'
+    + '<th>slope (A/(mM·cm))</th><th>intercept</th><th>R²</th><th>mean |unknown error|</th><th>Flags</th></tr></thead>'
+    + `<tbody>${body.join('')}</tbody></table>`;
+}
+
+// --- Accessibility ---
+// Measurements are announced through a polite live region, every chart has a
+// data table under it that the arrow keys move around, single-key shortcuts
+// drive the sliders and actions, and an optional tone follows the detector.
+const CHART_LABELS = {
+  calibrationChart:  'Calibration',
+  residualChart:     'Calibration residuals',
+  spectrumChart:     'Spectrum',
+  timeChart:         'Bleaching A(t)',
+  arrheniusChart:    'Arrhenius plot',
+  chromaticityChart: 'Chromaticity',
+  leakageChart:      'Pigment leakage',
+  classroomChart:    'Group calibrations'
+};
+const TABLE_PAGE_ROWS = 10;
+const chartTables = new Map();   // canvas id → { label, details, body, row, col }
+
+function announce(text) {
+  // Emptying the region first makes a repeated message count as new
+  announcer.textContent = '';
+  setTimeout(() => { announcer.textContent = text; }, 50);
+}
+
+function readingText(A, lam) {
+  return `A = ${fmt(A, 3)}, T = ${fmt(transmittanceFromA(A) * 100, 1)}% at ${Math.round(lam)} nm`;
+}
+
+function sampleText() {
+  return sampleComposition.textContent.replace(/^Sample: /, '');
+}
+
+function announceReadings() {
+  announce(`Wavelength ${wavelengthOut.textContent} nm, sample ${sampleText()}. `
+    + `Absorbance ${absorbanceOut.textContent}, transmittance ${transmittanceOut.textContent}, detector signal ${detectorOut.textContent}.`);
+}
+
+// Text alternative for the instrument drawing, kept in step with the readouts
+function describeInstrument(A, T) {
+  const lam = Math.round(parseFloat(wavelength.value));
+  const source = isColorimeterMode() ? `A ${LEDS[activeLed].label.toLowerCase()} LED (${lam} nm)` : `Light at ${lam} nm`;
+  instrumentDesc.textContent = `${source} passes through a ${currentPathLength()} cm cuvette of `
+    + `${sampleText()}. ${fmt(T * 100, 1)}% reaches the detector (A = ${fmt(A, 3)}).`;
+}
+
+// A details element with a data table under each chart. The table is rebuilt
+// after every chart update while it is open.
+function attachChartTables() {
+  for (const [id, label] of Object.entries(CHART_LABELS)) {
+    const canvas = el(id);
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', `${label} chart; its data is in the table below`);
+    const details = document.createElement('details');
+    details.className = 'chart-table';
+    const summary = document.createElement('summary');
+    summary.textContent = `${label} data table`;
+    const body = document.createElement('div');
+    body.className = 'chart-table-body';
+    details.append(summary, body);
+    canvas.after(details);
+    const entry = { label, details, body, row: 1, col: 0 };
+    chartTables.set(id, entry);
+    details.addEventListener('toggle', () => renderChartTable(id));
+    body.addEventListener('keydown', (e) => moveTableFocus(entry, e));
+    body.addEventListener('focusin', (e) => {
+      const cell = e.target.closest('td, th');
+      if (cell) { entry.row = cell.parentElement.rowIndex; entry.col = cell.cellIndex; }
+    });
+  }
+  Chart.register({ id: 'dataTable', afterUpdate: (chart) => {
+    if (chart.canvas && chartTables.has(chart.canvas.id)) renderChartTable(chart.canvas.id);
+  } });
+}
+
+function tableValue(v) {
+  return Number.isFinite(v) ? String(+v.toPrecision(4)) : '—';
+}
+
+// One row per plotted point: series, x and y, with the axis titles as headers
+function renderChartTable(id) {
+  const entry = chartTables.get(id);
+  const chart = Chart.getChart(id);
+  if (!entry.details.open || !chart) return;
+  const { scales } = chart.options;
+  const series = chart.data.datasets.filter(ds => ds.data.length);
+  const axes = new Set(series.map(ds => ds.yAxisID || 'y'));
+  const yTitle = axes.size === 1 ? scales[[...axes][0]].title.text : 'Value';
+  const hadFocus = entry.body.contains(document.activeElement);
+  entry.body.innerHTML = '';
+  if (!series.length) {
+    entry.body.textContent = 'No data yet.';
+    return;
+  }
+  const table = document.createElement('table');
+  table.className = 'mini-table';
+  table.createCaption().textContent = `${entry.label}: ${series.reduce((n, ds) => n + ds.data.length, 0)} points`;
+  const head = table.createTHead().insertRow();
+  for (const text of ['Series', scales.x.title.text, yTitle]) {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = text;
+    head.appendChild(th);
+  }
+  const tbody = table.createTBody();
+  for (const ds of series) {
+    for (const p of ds.data) {
+      const tr = tbody.insertRow();
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = ds.label;
+      tr.appendChild(th);
+      tr.insertCell().textContent = tableValue(p.x);
+      tr.insertCell().textContent = tableValue(p.y);
+    }
+  }
+  for (const row of table.rows) for (const cell of row.cells) cell.tabIndex = -1;
+  entry.body.appendChild(table);
+  focusTableCell(entry, entry.row, entry.col, hadFocus);
+}
+
+// Roving tabindex: only the current cell is in the tab order
+function focusTableCell(entry, row, col, moveFocus = true) {
+  const table = entry.body.querySelector('table');
+  if (!table) return;
+  entry.row = clamp(row, 0, table.rows.length - 1);
+  entry.col = clamp(col, 0, table.rows[0].cells.length - 1);
+  for (const r of table.rows) for (const cell of r.cells) cell.tabIndex = -1;
+  const cell = table.rows[entry.row].cells[entry.col];
+  cell.tabIndex = 0;
+  if (moveFocus) cell.focus();
+}
+
+function moveTableFocus(entry, e) {
+  const table = entry.body.querySelector('table');
+  if (!table) return;
+  const lastRow = table.rows.length - 1;
+  const lastCol = table.rows[0].cells.length - 1;
+  const moves = {
+    ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1],
+    PageUp: [-TABLE_PAGE_ROWS, 0], PageDown: [TABLE_PAGE_ROWS, 0]
+  };
+  let { row, col } = entry;
+  if (moves[e.key]) { row += moves[e.key][0]; col += moves[e.key][1]; }
+  else if (e.key === 'Home') { col = 0; if (e.ctrlKey) row = 0; }
+  else if (e.key === 'End') { col = lastCol; if (e.ctrlKey) row = lastRow; }
+  else return;
+  e.preventDefault();
+  focusTableCell(entry, row, col);
+}
+
+// --- Keyboard shortcuts ---
+// Buttons that are hidden or disabled say so instead of acting
+function pressButton(button) {
+  if (button.disabled || button.closest('.is-hidden, .feature-off')) {
+    announce(`${button.textContent.replace(/^\W+/, '').trim()} is not available now`);
+    return;
+  }
+  button.click();
+}
+
+// Step a slider as its own arrow keys would, then report the new readings
+function stepSlider(input, steps) {
+  if (input.disabled) {
+    announce('That slider is locked while a run is in progress');
+    return;
+  }
+  if (steps > 0) input.stepUp(steps); else input.stepDown(-steps);
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+  flushUpdate();
+  announceReadings();
+}
+
+// In colorimeter mode λ moves between LEDs
+function stepWavelength(steps) {
+  if (!isColorimeterMode()) { stepSlider(wavelength, steps); return; }
+  const ids = Object.keys(LEDS);
+  const next = ids[clamp(ids.indexOf(activeLed) + Math.sign(steps), 0, ids.length - 1)];
+  if (ledControl.disabled) announce('The LED is locked while a run is in progress');
+  else if (next !== activeLed) {
+    ledOptions.querySelector(`input[value="${next}"]`).click();
+    announceReadings();
+  }
+}
+
+function focusWavelength() {
+  if (isColorimeterMode()) ledOptions.querySelector('input:checked').focus();
+  else wavelength.focus();
+}
+
+const SHORTCUTS = [
+  { key: 'm', label: 'Measure (add to calibration)', run: () => pressButton(measureBtn) },
+  { key: 'z', label: 'Zero with blank', run: () => pressButton(zeroBtn) },
+  { key: 'a', label: 'Start or stop auto calibration', run: () => pressButton(autoCalibrateBtn) },
+  { key: 'u', label: 'New unknown sample', run: () => pressButton(unknownBtn) },
+  { key: 'r', label: 'Read the unknown again', run: () => pressButton(unknownReadBtn) },
+  { key: '[', label: 'Wavelength down 1 nm (previous LED in colorimeter mode)', run: () => stepWavelength(-1) },
+  { key: ']', label: 'Wavelength up 1 nm (next LED)', run: () => stepWavelength(1) },
+  { key: '{', label: 'Wavelength down 10 nm', run: () => stepWavelength(-10) },
+  { key: '}', label: 'Wavelength up 10 nm', run: () => stepWavelength(10) },
+  { key: '-', label: 'Concentration down one step', run: () => stepSlider(concentration, -1) },
+  { key: '=', label: 'Concentration up one step', run: () => stepSlider(concentration, 1) },
+  { key: 'w', label: 'Go to the wavelength slider (or the LEDs)', run: focusWavelength },
+  { key: 'c', label: 'Go to the concentration slider', run: () => concentration.focus() },
+  { key: '.', label: 'Read out the current readings', run: announceReadings },
+  { key: 's', label: 'Sound on or off', run: () => { if (!soundToggle.disabled) soundToggle.click(); } },
+  { key: '?', label: 'Show or hide this list', run: () => { shortcutsHelp.open = !shortcutsHelp.open; } },
+  { key: 'z', ctrl: true, label: 'Undo the last change to the measurements', run: undo },
+  { key: 'y', ctrl: true, label: 'Redo', run: redo }
+];
+
+// Single-key shortcuts can be switched off (WCAG 2.1.4): speech input types
+// letters as key presses. The choice is kept in localStorage.
+const SHORTCUTS_KEY = 'colorimeter-single-key-shortcuts';
+
+function populateShortcuts() {
+  singleKeyShortcuts.checked = localStorage.getItem(SHORTCUTS_KEY) !== 'off';
+  for (const { key, ctrl, label } of SHORTCUTS) {
+    const dt = document.createElement('dt');
+    dt.textContent = ctrl ? `Ctrl+${key.toUpperCase()}` : key;
+    const dd = document.createElement('dd');
+    dd.textContent = label;
+    shortcutList.append(dt, dd);
+  }
+}
+
+// Single keys (and Ctrl+Z/Y), so not while typing in a text box or choosing from
+// a menu, where those keys already do something
+function handleShortcut(e) {
+  const ctrl = e.ctrlKey || e.metaKey;
+  if (e.altKey || e.defaultPrevented || (!ctrl && !singleKeyShortcuts.checked)) return;
+  const t = e.target;
+  const typing = t.isContentEditable || t.tagName === 'TEXTAREA' || t.tagName === 'SELECT'
+    || (t.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button'].includes(t.type));
+  if (typing) return;
+  const shortcut = SHORTCUTS.find(s => !!s.ctrl === ctrl && s.key === (ctrl ? e.key.toLowerCase() : e.key));
+  if (!shortcut) return;
+  e.preventDefault();
+  shortcut.run();
+}
+
+// --- Sonification ---
+// The detector signal sets the pitch of a sine tone: two octaves down from
+// SOUND_MAX_HZ as A goes from 0 to SOUND_A_RANGE, so equal steps in absorbance
+// are equal musical intervals. The tone holds while readings change, then fades.
+const SOUND_MAX_HZ = 880;
+const SOUND_MIN_HZ = 220;
+const SOUND_A_RANGE = 3;
+const SOUND_GAIN = 0.08;
+const SOUND_HOLD_MS = 1500;
+let audio = null;          // { ctx, osc, gain } once sound has been switched on
+let soundTimer = null;
+
+function signalPitch(signal) {
+  const A = clamp(-Math.log10(Math.max(signal, 1e-6)), 0, SOUND_A_RANGE);
+  return SOUND_MAX_HZ * (SOUND_MIN_HZ / SOUND_MAX_HZ) ** (A / SOUND_A_RANGE);
+}
+
+// Browsers only start audio from a user action, so this runs from the toggle
+function startSound() {
+  if (audio) {
+    audio.ctx.resume();
+    return;
+  }
+  const ctx = new (window.AudioContext || window.webkitAudioContext)();
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+  osc.type = 'sine';
+  gain.gain.value = 0;
+  osc.connect(gain).connect(ctx.destination);
+  osc.start();
+  audio = { ctx, osc, gain };
+}
+
+function stopSound() {
+  clearTimeout(soundTimer);
+  if (audio) audio.gain.gain.setTargetAtTime(0, audio.ctx.currentTime, 0.05);
+}
+
+function sonify(signal) {
+  if (!soundToggle.checked || !audio) return;
+  const now = audio.ctx.currentTime;
+  audio.osc.frequency.setTargetAtTime(signalPitch(signal), now, 0.03);
+  audio.gain.gain.setTargetAtTime(SOUND_GAIN, now, 0.02);
+  clearTimeout(soundTimer);
+  soundTimer = setTimeout(() => audio.gain.gain.setTargetAtTime(0, audio.ctx.currentTime, 0.2), SOUND_HOLD_MS);
+}
+
+// --- Measurement log and undo ---
+// Every calibration point is listed with when and how it was taken, and can be
+// left out of the fits with a note saying why. Changes to the measurements go on
+// an undo history. Most steps store the calibration; a reset or a loaded session
+// stores the whole session, so undoing it brings the runs and settings back too.
+const HISTORY_LIMIT = 100;
+let undoStack = [];   // {label, whole, calibration | session}, oldest first
+let redoStack = [];
+
+function historySnapshot(label, whole) {
+  return whole
+    ? { label, whole, session: JSON.parse(JSON.stringify(currentSession())) }
+    : { label, whole, calibration: calibrationData.map(d => ({ ...d })) };
+}
+
+// Call just before changing the measurements
+function recordHistory(label, whole = false) {
+  undoStack.push(historySnapshot(label, whole));
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+  updateHistoryButtons();
+}
+
+function restoreSnapshot(snapshot) {
+  if (snapshot.whole) {
+    restoreSession(parseSession(snapshot.session));
+    return;
+  }
+  if (isOverlayVisible()) hideUnknownOverlay(true);
+  calibrationData = snapshot.calibration;
+  updateCalibrationPlot();
+}
+
+// Take a step off one stack, keeping the present state on the other for the way back
+function stepHistory(from, to, verb) {
+  if (autoRunning || !from.length) return;
+  const snapshot = from.pop();
+  to.push(historySnapshot(snapshot.label, snapshot.whole));
+  restoreSnapshot(snapshot);
+  updateHistoryButtons();
+  announce(`${verb} ${snapshot.label}`);
+}
+
+function undo() { stepHistory(undoStack, redoStack, 'Undid'); }
+function redo() { stepHistory(redoStack, undoStack, 'Redid'); }
+
+function updateHistoryButtons() {
+  const last = (stack) => stack[stack.length - 1];
+  undoBtn.disabled = autoRunning || !undoStack.length;
+  redoBtn.disabled = autoRunning || !redoStack.length;
+  undoBtn.title = undoStack.length ? `Undo ${last(undoStack).label}` : 'Nothing to undo';
+  redoBtn.title = redoStack.length ? `Redo ${last(redoStack).label}` : 'Nothing to redo';
+}
+
+// The calibrationData entry behind a point of the calibration chart
+function chartPointEntry(datasetIndex, index) {
+  const entries = datasetIndex === 0
+    ? fittedCalibrationData()
+    : calibrationData.filter(d => isCurrentCalibration(d) && d.excluded);
+  return entries[index];
+}
+
+// Move a point out of the fits or back in. From the chart, the note box of a
+// newly excluded point takes the focus so the student can say why.
+function toggleExclusion(entry, focusNote = false) {
+  if (!entry || autoRunning) return;
+  recordHistory(entry.excluded ? 'putting a point back' : 'excluding a point');
+  entry.excluded = !entry.excluded;
+  if (isOverlayVisible()) hideUnknownOverlay(true);
+  updateCalibrationPlot();
+  announce(`Point ${calibrationData.indexOf(entry) + 1} (${fmt(entry.c_mM, 2)} mM) ${entry.excluded ? 'left out of' : 'back in'} the fit`);
+  if (focusNote && entry.excluded) {
+    const note = measurementLog.querySelector(`input.log-note[data-index="${calibrationData.indexOf(entry)}"]`);
+    if (note) note.focus();
+  }
+}
+
+function setPointNote(entry, text) {
+  const reason = text.trim();
+  if (!entry || reason === (entry.reason || '')) return;
+  recordHistory('note edit');
+  if (reason) entry.reason = reason; else delete entry.reason;
+  renderMeasurementLog();
+  scheduleAutosave();
+}
+
+// manual or auto for the simulator's points; imports name their file; points
+// saved before the log existed do not say
+function pointOrigin(d) {
+  if (!isSimulated(d)) return `import (${d.source})`;
+  return `${d.method || 'unknown'}${d.standard ? ` (${d.standard})` : ''}`;
+}
+
+// Newest first. The control that had the focus keeps it across the redraw.
+function renderMeasurementLog() {
+  const total = calibrationData.length;
+  const excludedCount = calibrationData.filter(d => d.excluded).length;
+  logSummary.textContent = `Measurement log (${total} point${total === 1 ? '' : 's'}${excludedCount ? `, ${excludedCount} excluded` : ''})`;
+  const focused = measurementLog.contains(document.activeElement) ? document.activeElement : null;
+  const focusSelector = focused && focused.dataset.index !== undefined ? `input.${focused.className}[data-index="${focused.dataset.index}"]` : null;
+  if (!total) {
+    measurementLog.innerHTML = '<p class="hint">No measurements yet.</p>';
+    return;
+  }
+  const rows = calibrationData.map((d, i) => {
+    const classes = [isCurrentCalibration(d) ? 'is-current' : '', d.excluded ? 'is-excluded' : ''].filter(Boolean).join(' ');
+    const time = d.time ? new Date(d.time).toLocaleTimeString() : '—';
+    return `<tr data-index="${i}" class="${classes}">`
+      + `<td>${i + 1}</td><td title="${escapeHtml(d.time || '')}">${time}</td><td>${escapeHtml(pigmentShortName(d.pigment))}</td>`
+      + `<td>${d.lambda}</td><td>${fmt(d.c_mM, 3)}</td><td>${fmt(d.A, 4)}</td><td>${escapeHtml(pointOrigin(d))}</td>`
+      + `<td><input type="checkbox" class="log-include" data-index="${i}" ${d.excluded ? '' : 'checked'} aria-label="Point ${i + 1} in the fit" /></td>`
+      + `<td class="log-note-cell"><input type="text" class="log-note" data-index="${i}" value="${escapeHtml(d.reason || '')}"`
+      + ` placeholder="${d.excluded ? 'Why excluded?' : ''}" aria-label="Note on point ${i + 1}" /></td></tr>`;
+  }).reverse();
+  measurementLog.innerHTML = '<table class="mini-table"><thead><tr><th>#</th><th>Time</th><th>Pigment</th><th>λ (nm)</th><th>c (mM)</th>'
+    + `<th>A</th><th>Source</th><th>In fit</th><th>Note</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+  if (focusSelector) {
+    const again = measurementLog.querySelector(focusSelector);
+    if (again) again.focus();
+  }
+}
+
+// --- Report and data export ---
+function downloadFile(name, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = name; a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Data behind each chart as flat rows, for CSV/JSON download
+const DATA_SETS = {
+  calibration: {
+    label: 'Calibration points (all)',
+    rows: () => calibrationData.map(d => ({
+      concentration_mM: d.c_mM, absorbance_A: d.A, pigment: d.pigment, wavelength_nm: d.lambda,
+      path_length_cm: d.l_cm, blank_age_min: d.blankAge ?? '', source: d.source || SIMULATOR_SOURCE,
+      method: isSimulated(d) ? d.method ?? '' : '', time: d.time ?? '', excluded: !!d.excluded, note: d.reason ?? '',
+      standard: d.standard ?? '', actual_concentration_mM: d.c_actual_mM ?? ''
+    }))
+  },
+  standards: {
+    label: 'Prepared standards',
+    rows: () => (standards ? standards.items.map(s => ({
+      standard: s.label, pigment: standards.pigment, preparation: s.steps, nominal_mM: s.nominal_mM, u_mM: s.u_mM,
+      actual_mM: s.actual_mM, error_pct: standardErrorPct(s)
+    })) : [])
+  },
+  fit: {
+    label: 'Calibration fit and 95% band',
+    rows: () => {
+      const fit = currentFit();
+      if (!fit) return [];
+      return calibrationChart.data.datasets[1].data.map(({ x, y }) => ({
+        [`x_${calibXUnit()}`]: x, fit_A: y,
+        band_lower_A: fit.dof > 0 ? y - fit.band(x) : '', band_upper_A: fit.dof > 0 ? y + fit.band(x) : ''
+      }));
+    }
+  },
+  residuals: {
+    label: 'Calibration residuals',
+    rows: () => {
+      const fit = currentFit();
+      if (!fit) return [];
+      return currentCalibrationPoints().map((p, i) => ({ [`x_${calibXUnit()}`]: p.x, absorbance_A: p.y, residual_A: fit.residuals[i] }));
+    }
+  },
+  spectrum: {
+    label: 'Spectrum (theory)',
+    rows: () => {
+      const { components, ideal, rows } = spectrumSeries();
+      return rows.map(r => {
+        const row = { wavelength_nm: r.lambda, [`epsilon_${activePigment}_L_per_mol_cm`]: r.epsilon };
+        for (const id of components) row[`A_${id}`] = r.parts[id];
+        row.A_total = r.total;
+        if (!ideal) row.A_measured = r.measured;
+        return row;
+      });
+    }
+  },
+  scan: {
+    label: 'Wavelength scan',
+    rows: () => scanData.map(d => ({ wavelength_nm: d.lambda, absorbance_A: d.A }))
+  },
+  // Readings only: the true c(t) would hand over the rate law the students are to find
+  bleaching: {
+    label: 'Bleaching runs',
+    rows: () => bleachRuns.flatMap((run, i) => run.points.map(p => ({
+      run: i + 1, temperature_C: run.temperatureC ?? '', pH: run.pH ?? '', wavelength_nm: run.lambda ?? '', t_min: p.t_min,
+      absorbance_A: p.A ?? ''
+    })))
+  },
+  arrhenius: {
+    label: 'Arrhenius plot (k per run)',
+    rows: () => arrheniusRuns().map(r => ({
+      temperature_C: r.temperatureC, '1000/T_per_K': 1000 / (r.temperatureC + 273.15),
+      k: r.k, ln_k: r.k > 0 ? Math.log(r.k) : '', rate_law: kineticsModel.value,
+      pH: bleachRuns[bleachRuns.length - 1].pH
+    }))
+  },
+  leakage: {
+    label: 'Membrane practical (discs)',
+    rows: () => leakageData.map(d => ({
+      disc: d.disc, treatment: d.condition, level: d.level, unit: MEMBRANE.conditions[d.condition].unit,
+      incubation_min: d.incubationMin, wavelength_nm: d.lambda, path_length_cm: d.l_cm, absorbance_A: d.A
+    }))
+  },
+  classroom: {
+    label: 'Class comparison',
+    rows: () => classComparison.rows.map(r => ({
+      group: r.name, pigment: r.pigment ?? '', wavelength_nm: r.lambda ?? '', n: r.n,
+      slope_A_per_mM_cm: r.fit ? r.m : '', slope_se: r.fit ? r.fit.se.m : '',
+      intercept_A: r.fit ? r.b : '', intercept_se: r.fit ? r.fit.se.b : '', r2: r.fit ? r.r2 : '',
+      unknowns: r.unknownCount, mean_abs_unknown_error_pct: r.unknownCount ? r.meanAbsError : '',
+      flags: r.flags.join('; ')
+    }))
+  },
+  colour: {
+    label: 'Solution colour along the dilution path',
+    rows: () => dilutionPath().map(({ scale, colour }) => ({
+      fraction_of_sample: scale, illuminant: illuminant.value,
+      X: colour.xyz.X, Y: colour.xyz.Y, Z: colour.xyz.Z, x: colour.x, y: colour.y,
+      L: colour.lab.L, a: colour.lab.a, b: colour.lab.b, srgb: colour.srgb.hex
+    }))
+  },
+  unknowns: {
+    label: 'Unknown-sample results',
+    rows: () => unknownResults.map(r => ({
+      pigment: r.pigment, wavelength_nm: r.lambda, path_length_cm: r.l_cm, dilution: r.dilution,
+      replicates: r.readings.length, fit_model: r.fitModel, c_est_mM: r.c_est, ci95_mM: Number.isFinite(r.ci) ? r.ci : '',
+      c_true_mM: r.c_true, error_pct: Number.isFinite(r.errorPct) ? r.errorPct : ''
+    }))
+  }
+};
+
+function populateDataSets() {
+  for (const [id, set] of Object.entries(DATA_SETS)) {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = set.label;
+    dataSet.appendChild(opt);
+  }
+}
+
+function downloadDataSet(id, format) {
+  const rows = DATA_SETS[id].rows();
+  if (format === 'json') downloadFile(`${id}.json`, rowsToJson(id, rows), 'application/json');
+  else downloadFile(`${id}.csv`, rowsToCsv(rows), 'text/csv;charset=utf-8;');
+}
+
+// Render a chart's current data to a PNG at a fixed size. Drawing a copy on a
+// detached canvas also works for charts whose panel is collapsed.
+function chartImage(chart) {
+  if (!chart) return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = 720;
+  canvas.height = 360;
+  const copy = new Chart(canvas, {
+    type: chart.config.type,
+    data: JSON.parse(JSON.stringify(chart.data)),
+    options: { ...chart.config.options, responsive: false, maintainAspectRatio: false, animation: false }
+  });
+  const src = copy.toBase64Image();
+  copy.destroy();
+  return src;
+}
+
+// Fit parameters with standard errors, goodness of fit, LOD/LOQ and linear range
+function fitSummaryRows(fit, points) {
+  if (!fit) return [];
+  const unit = calibXUnit();
+  const terms = FIT_MODELS[fit.model].terms;
+  const rows = [['Model', FIT_MODELS[fit.model].label]];
+  rows.push([`Slope m (A per ${unit})`, fmtPm(fit.params.m, fit.se.m, 4)]);
+  if (terms.includes('b')) rows.push(['Intercept b (A)', fmtPm(fit.params.b, fit.se.b, 4)]);
+  if (terms.includes('q')) rows.push([`Curvature q (A per ${unit}²)`, fmtPm(fit.params.q, fit.se.q, 4)]);
+  rows.push(['R²', fmt(fit.r2, 4)]);
+  rows.push(['s(y/x)', Number.isFinite(fit.syx) ? fmt(fit.syx, 4) : '—']);
+  rows.push(['n (degrees of freedom)', `${fit.n} (${fit.dof})`]);
+  const limits = detectionLimits(fit, points);
+  if (limits && Number.isFinite(limits.lod)) {
+    rows.push(['LOD', `${fmt(limits.lod, 4)} ${unit} (${limits.basis})`]);
+    rows.push(['LOQ', `${fmt(limits.loq, 4)} ${unit}`]);
+  }
+  if (points.length >= 3) {
+    const range = linearRange(points);
+    rows.push(['Linear range', `to ${fmt(range.xMax, 3)} ${unit} (${range.n}/${points.length} points)`]);
+  }
+  return rows;
+}
+
+function generateReport() {
+  // Build the lazily created charts so the report always has their current data
+  initCharts.ensureSpectrumChart();
+  initCharts.ensureTimeChart();
+  initCharts.ensureLeakageChart();
+  updateSpectrum(true);
+  updateTimePlot();
+
+  const lam = parseFloat(wavelength.value);
+  const l_cm = currentPathLength();
+  const optics = currentOptics();
+  const points = currentCalibrationPoints();
+  const fit = currentFit();
+  const pigmentName = PIGMENTS[activePigment].name;
+  const blankText = blankOut.textContent;
+  const sections = [
+    {
+      title: 'Instrument settings',
+      tables: [{ headers: ['Setting', 'Value'], rows: [
+        ['Calibrated pigment', pigmentName],
+        ['Sample', sampleComposition.textContent.replace(/^Sample: /, '')],
+        ['Instrument', isColorimeterMode() ? `Colorimeter, ${LEDS[activeLed].label.toLowerCase()} LED` : 'Spectrophotometer'],
+        ['Wavelength', `${lam} nm`],
+        ['Path length', `${l_cm} cm`],
+        ['Noise', noiseToggle.checked ? 'on' : 'off'],
+        ['Stray light', `${fmt(optics.strayLight * 100, 2)} %`],
+        ['Source bandwidth (FWHM)', `${optics.bandwidthNm} nm`],
+        ['Temperature', `${temperature.value} °C`],
+        ['pH', fmt(parseFloat(samplePH.value), 1)],
+        ['Solution colour (L*, a*, b*)', `${labOut.textContent} under ${ILLUMINANTS[illuminant.value].label}`],
+        ['Blank', blankText],
+        ['Lamp on for', `${fmt(instrumentMinutes(), 1)} min`],
+        ['Random seed', seedParam ?? 'none']
+      ] }]
+    },
+    {
+      title: `Calibration: ${pigmentShortName(activePigment)} at ${lam} nm`,
+      text: [calibStats.textContent, calibWarnings.textContent].filter(Boolean),
+      images: [
+        { src: points.length ? chartImage(calibrationChart) : null, caption: `Absorbance vs ${calibXTitle()}` },
+        { src: fit ? chartImage(residualChart) : null, caption: 'Residuals of the fit' }
+      ],
+      tables: [{ caption: 'Fit parameters (± standard error)', headers: ['Quantity', 'Value'], rows: fitSummaryRows(fit, points) }]
+    },
+    {
+      title: 'Standards',
+      text: standards
+        ? [`${describePlan(standards.plan)} (${PIGMENTS[standards.pigment].name}).`, standardsSummary()]
+        : 'No standards prepared: calibration concentrations were exact.',
+      tables: standards ? [{
+        caption: 'Nominal and actual concentrations (u: standard uncertainty expected from the glassware tolerances)',
+        headers: ['Standard', 'Made by', 'Nominal (mM)', '± u (mM)', 'Actual (mM)', 'Error'],
+        rows: standards.items.map(s => [
+          s.label, s.steps, fmt(s.nominal_mM, 4), fmt(s.u_mM, 4), fmt(s.actual_mM, 4), `${fmt(standardErrorPct(s), 2)} %`
+        ])
+      }] : []
+    },
+    {
+      title: 'Calibration data',
+      text: 'All recorded points; ✓ marks those in the fit above and ✗ points left out of their fit.',
+      tables: [{
+        headers: ['c (mM)', 'A', 'Pigment', 'λ (nm)', 'l (cm)', 'Blank age (min)', 'Source', 'In fit', 'Note'],
+        rows: calibrationData.map(d => [
+          fmt(d.c_mM, 4), fmt(d.A, 4), pigmentShortName(d.pigment), d.lambda, d.l_cm,
+          d.blankAge === null || d.blankAge === undefined ? '—' : fmt(d.blankAge, 1),
+          pointOrigin(d), d.excluded ? '✗' : isCurrentCalibration(d) ? '✓' : '', d.reason || ''
+        ])
+      }]
+    },
+    {
+      title: 'Spectrum',
+      text: scanResult.textContent || 'No wavelength scan recorded.',
+      images: [{ src: chartImage(spectrumChart), caption: 'ε(λ) and A(λ) of the sample, with any scan readings' }],
+      tables: scanData.length
+        ? [{ caption: 'Wavelength scan', headers: ['λ (nm)', 'A'], rows: scanData.map(d => [d.lambda, fmt(d.A, 4)]) }]
+        : []
+    },
+    {
+      title: 'Bleaching',
+      text: arrheniusStats.textContent || undefined,
+      images: [
+        { src: timeSeries.length ? chartImage(timeChart) : null, caption: 'Absorbance over time (latest run)' },
+        { src: arrheniusFit(arrheniusRuns()) ? chartImage(arrheniusChart) : null, caption: 'Arrhenius plot' }
+      ],
+      tables: [
+        {
+          caption: 'Runs',
+          headers: ['Run', 'T (°C)', 'pH', 'λ (nm)', 'Duration (min)', 'Readings', 'A first', 'A last'],
+          rows: bleachRuns.filter(r => r.points.length).map((r, i) => {
+            const first = r.points[0], last = r.points[r.points.length - 1];
+            const A = (p) => (Number.isFinite(p.A) ? fmt(p.A, 4) : '—');
+            return [i + 1, r.temperatureC ?? '—', r.pH ?? '—', r.lambda ?? '—', fmt(last.t_min, 2), r.points.length, A(first), A(last)];
+          })
+        },
+        { caption: 'Rate laws fitted to the latest run', headers: ['Model', 'Linear plot', 'k ± SE', 't½', 'R² (linear)', 'RMSE (A)'], rows: kineticsRows() }
+      ]
+    },
+    {
+      title: 'Membrane permeability',
+      images: [{ src: leakageData.length ? chartImage(leakageChart) : null, caption: `Extract absorbance vs ${leakageAxisTitle().toLowerCase()}, ${leakTime.value} min incubation` }],
+      tables: [{
+        caption: 'Mean extract absorbance per treatment and incubation time',
+        headers: ['Treatment', 'Level', 'Incubation (min)', 'n', 'Mean A', 'SD'],
+        rows: [...new Set(leakageData.map(d => `${d.condition}|${d.incubationMin}`))].flatMap(key => {
+          const [condition, t] = key.split('|');
+          const cond = MEMBRANE.conditions[condition];
+          return leakageSummary(leakageData.filter(d => d.condition === condition && d.incubationMin === parseFloat(t)))
+            .map(r => [cond.label, `${r.level} ${cond.unit}`, t, r.n, fmt(r.mean, 3), Number.isFinite(r.sd) ? fmt(r.sd, 3) : '—']);
+        })
+      }]
+    },
+    {
+      title: 'Unknown samples',
+      tables: [{
+        headers: ['Pigment', 'λ (nm)', 'l (cm)', 'Dilution', 'k', 'Fit', 'ĉ ± 95% CI (mM)', 'True (mM)', 'Error'],
+        rows: unknownResults.map(r => [
+          pigmentShortName(r.pigment), r.lambda, r.l_cm, `×${r.dilution}`, r.readings.length, FIT_MODELS[r.fitModel].label,
+          Number.isFinite(r.ci) ? `${fmt(r.c_est, 3)} ± ${fmt(r.ci, 3)}` : fmt(r.c_est, 3),
+          fmt(r.c_true, 3), Number.isFinite(r.errorPct) ? `${fmt(r.errorPct, 1)} %` : '—'
+        ])
+      }]
+    }
+  ];
+  const html = buildReportHtml({ title: 'Colorimetry practical report — betalain', generatedAt: new Date(), sections });
+  const win = window.open('', '_blank');
+  if (win) {
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+  } else {
+    // Pop-ups blocked: hand the report over as a file instead
+    downloadFile('colorimeter-report.html', html, 'text/html');
+  }
+}
+
+// --- Event wiring ---
+function attachEvents() {
+  // Moving the slider takes any prepared standard out of the cuvette
+  concentration.addEventListener('input', unloadStandard);
+  [concentration, noiseToggle].forEach(inp => {
+    inp.addEventListener('input', () => scheduleUpdate());
+  });
+  // Each λ has its own calibration
+  wavelength.addEventListener('input', () => scheduleUpdate(true));
+
+  pigmentSelect.addEventListener('change', () => selectPigment(pigmentSelect.value));
+
+  pathLength.addEventListener('change', updateAll);
+  fitModel.addEventListener('change', () => {
+    if (isOverlayVisible()) hideUnknownOverlay(true);
+    updateCalibrationPlot();
+  });
+  plotVsPathLength.addEventListener('change', () => {
+    if (isOverlayVisible()) hideUnknownOverlay(true);
+    calibrationChart.options.scales.x.title.text = calibXTitle();
+    updateCalibrationPlot();
+  });
+
+  resetAll.addEventListener('click', () => {
+    recordHistory('reset', true);
+    // Dismiss any visible unknown overlay on reset
+    if (isOverlayVisible()) hideUnknownOverlay(false);
+    instrumentType.value = 'spectrophotometer';
+    activeLed = DEFAULT_LED;
+    applyInstrumentType();
+    wavelength.value = 538;
+    resetSample();
+    pathLength.value = '1';
+    plotVsPathLength.checked = false;
+    fitModel.value = 'linear';
+    noiseToggle.checked = config.noise.enabled;
+    // Reset switches the instrument off and on again: the lamp warms up from cold
+    instrumentStart = performance.now();
+    blankReference = null;
+    strayLight.value = 0; strayLightOut.textContent = '0.00';
+    bandwidth.value = 0; bandwidthOut.textContent = '0';
+    temperature.value = REFERENCE_TEMP_C; temperatureOut.textContent = String(REFERENCE_TEMP_C);
+    samplePH.value = REFERENCE_PH; samplePHOut.textContent = fmt(REFERENCE_PH, 1);
+    stopScan();
+    scanData = [];
+    scanLambdaMax = null;
+    renderScanResult();
+    calibrationData = [];
+    standards = null;
+    showPlan(DEFAULT_PLAN);
+    renderStandards();
+    updateCalibrationPlot();
+    stopBleaching();
+    timeSeries = [];
+    bleachRuns = [];
+    updateTimePlot();
+    leakageData = [];
+    leakStatus.textContent = '';
+    updateLeakagePlot();
+    updateAll();
+  });
+
+  zeroBtn.addEventListener('click', zeroWithBlank);
+
+  measureBtn.addEventListener('click', measureSample);
+
+  clearCalibration.addEventListener('click', () => {
+    if (!calibrationData.length) return;
+    recordHistory('clear');
+    calibrationData = [];
+    updateCalibrationPlot();
+  });
+
+  // Auto calibration
+  autoCalibrateBtn.addEventListener('click', () => {
+    if (autoRunning) {
+      stopAutoCalibration();
+    } else {
+      startAutoCalibration();
+    }
+  });
+
+  // Unknown sample: start a session with a hidden concentration, take the first
+  // reading and read ĉ ± CI off the current fit
+  unknownBtn.addEventListener('click', startUnknownSession);
+  unknownReadBtn.addEventListener('click', readUnknownReplicate);
+  unknownSubmitBtn.addEventListener('click', submitUnknown);
+  unknownClose.addEventListener('click', endUnknownSession);
+  dilutionFactor.addEventListener('change', () => {
+    // A new dilution is a new solution: earlier readings no longer apply
+    if (!unknownSession || unknownSession.submitted) return;
+    unknownSession.readings = [];
+    renderUnknownSession();
+  });
+
+  // Dismiss overlay on next action button press (measure/auto/clear/reset)
+  const actionButtons = [measureBtn, autoCalibrateBtn, clearCalibration, resetAll];
+  actionButtons.forEach(btn => btn.addEventListener('click', () => {
+    if (isOverlayVisible()) hideUnknownOverlay(false);
+  }));
+
+  // Reposition overlay on window resize / orientation change for mobile responsiveness
+  window.addEventListener('resize', () => {
+    if (isOverlayVisible() && lastUnknownOverlayParams) positionUnknownOverlay(lastUnknownOverlayParams);
+  });
+
+  downloadData.addEventListener('click', () => downloadDataSet(dataSet.value, dataFormat.value));
+  reportBtn.addEventListener('click', generateReport);
+
+  // Bleaching controls
+  bleachRate.addEventListener('input', () => {
+    bleachRateOut.textContent = fmt(parseFloat(bleachRate.value), 3);
+  });
+
+  bleachToggle.addEventListener('click', () => {
+    if (bleaching) stopBleaching(); else startBleaching();
+  });
 
   bleachReset.addEventListener('click', () => {
     stopBleaching();
     concentration.value = 0.5;
     timeSeries = [];
+    bleachClock.textContent = 't = 0.0 min';
     updateTimePlot();
     updateAll();
   });
+  kineticsModel.addEventListener('change', updateTimePlot);
 
   // Advanced toggle
   advancedToggle.addEventListener('click', () => {
@@ -592,6 +2905,8 @@ function attachEvents() {
     if (isHidden) {
       advancedPanel.classList.remove('is-hidden');
       advancedToggle.setAttribute('aria-expanded', 'true');
+      // The spectrum is not redrawn while its panel is hidden
+      updateSpectrum();
     } else {
       // Hide and stop any ongoing bleaching
       stopBleaching();
@@ -600,9 +2915,22 @@ function attachEvents() {
     }
   });
 
+  const toggleStandards = document.getElementById('toggleStandards');
+  const standardsPanel = document.getElementById('standardsPanel');
+  toggleStandards.addEventListener('click', () => {
+    const hidden = standardsPanel.classList.toggle('is-hidden');
+    toggleStandards.setAttribute('aria-expanded', String(!hidden));
+  });
+  prepareStandardsBtn.addEventListener('click', prepareStandardsFromForm);
+  discardStandardsBtn.addEventListener('click', discardStandards);
+  standardSelect.addEventListener('change', () => {
+    const item = currentStandards().find(s => s.label === standardSelect.value);
+    if (item) loadStandard(item); else unloadStandard();
+    updateAll();
+  });
+
   // Sub toggles: Spectrum and Bleaching
   const toggleSpectrum = document.getElementById('toggleSpectrum');
-  const spectrumPanel = document.getElementById('spectrumPanel');
   toggleSpectrum.addEventListener('click', () => {
     const hidden = spectrumPanel.classList.contains('is-hidden');
     if (hidden) {
@@ -613,6 +2941,7 @@ function attachEvents() {
       setTimeout(() => spectrumChart && spectrumChart.resize(), 0);
       updateAll();
     } else {
+      stopScan();
       spectrumPanel.classList.add('is-hidden');
       toggleSpectrum.setAttribute('aria-expanded', 'false');
     }
@@ -633,32 +2962,240 @@ function attachEvents() {
       toggleBleaching.setAttribute('aria-expanded', 'false');
     }
   });
+
+  const toggleOptics = document.getElementById('toggleOptics');
+  const opticsPanel = document.getElementById('opticsPanel');
+  toggleOptics.addEventListener('click', () => {
+    const hidden = opticsPanel.classList.toggle('is-hidden');
+    toggleOptics.setAttribute('aria-expanded', String(!hidden));
+  });
+
+  [temperature, samplePH].forEach(inp => inp.addEventListener('input', () => {
+    temperatureOut.textContent = `${Math.round(parseFloat(temperature.value))}`;
+    samplePHOut.textContent = fmt(parseFloat(samplePH.value), 1);
+    scheduleUpdate(true); // pH mismatch warnings
+  }));
+
+  [strayLight, bandwidth].forEach(inp => inp.addEventListener('input', () => {
+    strayLightOut.textContent = fmt(parseFloat(strayLight.value), 2);
+    bandwidthOut.textContent = `${Math.round(parseFloat(bandwidth.value))}`;
+    scheduleUpdate();
+  }));
+
+  instrumentType.addEventListener('change', () => {
+    if (isOverlayVisible()) hideUnknownOverlay(true);
+    applyInstrumentType();
+    updateAll();
+    updateCalibrationPlot();
+  });
+  ledOptions.addEventListener('change', (e) => {
+    if (isOverlayVisible()) hideUnknownOverlay(true);
+    activeLed = e.target.value;
+    applyInstrumentType();
+    updateAll();
+    updateCalibrationPlot();
+  });
+
+  const toggleMixture = document.getElementById('toggleMixture');
+  const mixturePanel = document.getElementById('mixturePanel');
+  toggleMixture.addEventListener('click', () => {
+    const hidden = mixturePanel.classList.toggle('is-hidden');
+    toggleMixture.setAttribute('aria-expanded', String(!hidden));
+  });
+
+  unknownMixtureBtn.addEventListener('click', runUnknownMixture);
+
+  const toggleMembrane = document.getElementById('toggleMembrane');
+  const membranePanel = document.getElementById('membranePanel');
+  toggleMembrane.addEventListener('click', () => {
+    const hidden = membranePanel.classList.toggle('is-hidden');
+    toggleMembrane.setAttribute('aria-expanded', String(!hidden));
+    if (!hidden) {
+      initCharts.ensureLeakageChart();
+      setTimeout(() => leakageChart && leakageChart.resize(), 0);
+    }
+  });
+  leakCondition.addEventListener('change', selectLeakCondition);
+  leakTime.addEventListener('change', updateLeakagePlot);
+  leakMeasureBtn.addEventListener('click', measureDisc);
+  leakClear.addEventListener('click', () => {
+    leakageData = [];
+    leakStatus.textContent = '';
+    updateLeakagePlot();
+  });
+
+  const toggleImport = document.getElementById('toggleImport');
+  const importPanel = document.getElementById('importPanel');
+  toggleImport.addEventListener('click', () => {
+    const hidden = importPanel.classList.toggle('is-hidden');
+    toggleImport.setAttribute('aria-expanded', String(!hidden));
+  });
+  importFile.addEventListener('change', () => {
+    const file = importFile.files[0];
+    if (file) readImportFile(file);
+  });
+  importUnit.addEventListener('change', () => {
+    if (importUnit.value === 'mgL' && !importMolarMass.value) importMolarMass.value = String(PIGMENTS[activePigment].molarMass);
+    previewImport();
+  });
+  importMolarMass.addEventListener('input', previewImport);
+  importMapping.addEventListener('change', previewImport);
+  importBtn.addEventListener('click', importPoints);
+
+  const toggleColour = document.getElementById('toggleColour');
+  const colourPanel = document.getElementById('colourPanel');
+  toggleColour.addEventListener('click', () => {
+    const hidden = colourPanel.classList.toggle('is-hidden');
+    toggleColour.setAttribute('aria-expanded', String(!hidden));
+  });
+  illuminant.addEventListener('change', () => {
+    updateSolutionColour();
+    scheduleAutosave();
+  });
+  showChromaticity.addEventListener('change', () => {
+    chromaticityBox.classList.toggle('is-hidden', !showChromaticity.checked);
+    if (showChromaticity.checked) {
+      initCharts.ensureChromaticityChart();
+      updateSolutionColour();
+      setTimeout(() => chromaticityChart && chromaticityChart.resize(), 0);
+    }
+  });
+
+  const toggleClassroom = document.getElementById('toggleClassroom');
+  const classroomPanel = document.getElementById('classroomPanel');
+  toggleClassroom.addEventListener('click', () => {
+    const hidden = classroomPanel.classList.toggle('is-hidden');
+    toggleClassroom.setAttribute('aria-expanded', String(!hidden));
+    if (!hidden) {
+      initCharts.ensureClassroomChart();
+      setTimeout(() => classroomChart && classroomChart.resize(), 0);
+    }
+  });
+  classroomFiles.addEventListener('change', () => {
+    const files = [...classroomFiles.files];
+    classroomFiles.value = '';
+    if (files.length) loadClassroomFiles(files);
+  });
+  classroomClear.addEventListener('click', () => {
+    classGroups = [];
+    classroomErrors.innerHTML = '';
+    updateClassroomPlot();
+  });
+
+  scanBtn.addEventListener('click', () => {
+    if (scanRunning) stopScan(); else startScan();
+  });
+  useLambdaMaxBtn.addEventListener('click', () => {
+    if (scanLambdaMax === null) return;
+    wavelength.value = String(Math.round(scanLambdaMax));
+    updateAll();
+    updateCalibrationPlot();
+  });
+  showTheory.addEventListener('change', () => updateSpectrum());
+
+  // Guided lessons
+  lessonsToggle.addEventListener('click', () => {
+    const hidden = lessonPanel.classList.toggle('is-hidden');
+    lessonsToggle.setAttribute('aria-expanded', String(!hidden));
+  });
+  lessonSelect.addEventListener('change', describeSelectedLesson);
+  lessonStartBtn.addEventListener('click', startSelectedLesson);
+  lessonHintBtn.addEventListener('click', showLessonHint);
+  lessonEndBtn.addEventListener('click', endLesson);
+  lessonLoadBtn.addEventListener('click', () => lessonFile.click());
+  lessonFile.addEventListener('change', () => {
+    const file = lessonFile.files[0];
+    lessonFile.value = '';
+    if (file) loadLessonFile(file);
+  });
+
+  // Class config from a file
+  configLoadBtn.addEventListener('click', () => configFile.click());
+  configFile.addEventListener('change', () => {
+    const file = configFile.files[0];
+    configFile.value = '';
+    if (file) loadConfigFile(file);
+  });
+  configClearBtn.addEventListener('click', clearConfig);
+
+  // Sessions: save to / load from a JSON file; a link's hash sets the parameters
+  saveSessionBtn.addEventListener('click', saveSessionFile);
+  loadSessionBtn.addEventListener('click', () => sessionFile.click());
+  sessionFile.addEventListener('change', () => {
+    const file = sessionFile.files[0];
+    sessionFile.value = '';
+    if (file) loadSessionFile(file);
+  });
+  bleachRate.addEventListener('change', scheduleAutosave);
+  window.addEventListener('hashchange', () => applySettings(settingsFromHash(window.location.hash)));
+  document.addEventListener('keydown', handleShortcut);
+  singleKeyShortcuts.addEventListener('change', () => {
+    localStorage.setItem(SHORTCUTS_KEY, singleKeyShortcuts.checked ? 'on' : 'off');
+  });
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+  measurementLog.addEventListener('change', (e) => {
+    const entry = calibrationData[e.target.dataset.index];
+    if (e.target.classList.contains('log-include')) toggleExclusion(entry);
+    else if (e.target.classList.contains('log-note')) setPointNote(entry, e.target.value);
+  });
+  measurementLog.addEventListener('click', (e) => {
+    const row = e.target.closest('tbody tr');
+    if (row && !e.target.closest('input')) toggleExclusion(calibrationData[row.dataset.index]);
+  });
+  if (!window.AudioContext && !window.webkitAudioContext) {
+    soundToggle.disabled = true;
+    soundHint.textContent = 'Sound needs a browser with Web Audio.';
+  }
+  soundToggle.addEventListener('change', () => {
+    if (soundToggle.checked) {
+      startSound();
+      sonify(parseFloat(detectorOut.textContent));
+    } else stopSound();
+    announce(`Sound ${soundToggle.checked ? 'on' : 'off'}`);
+  });
 }
 
 function startBleaching() {
   if (bleaching) return;
   bleaching = true;
   bleachToggle.textContent = 'Stop bleaching';
-  bleachStartTime = performance.now();
-  const c0 = parseFloat(concentration.value);
-  timeSeries = [{ t_min: 0, c_mM: c0 }];
-  const k = parseFloat(bleachRate.value); // 1/min
-  const startTs = performance.now();
-  let lastTs = startTs;
+  lockWavelength(true);
+  pathLength.disabled = true;
+  temperature.disabled = true;
+  samplePH.disabled = true;
+  // Bleaching changes the concentration, so the cuvette no longer holds the standard
+  unloadStandard();
+  const env = currentEnvironment();
+  const k = degradationRate(parseFloat(bleachRate.value), env); // 1/min, hidden from the student
+  const lam = parseFloat(wavelength.value);
+  const l_cm = currentPathLength();
+  // The true concentration is tracked here: the slider only shows it to 0.01 mM
+  let c = parseFloat(concentration.value);
+  const read = () => readA(lam, { ...currentSample(), [activePigment]: c }, l_cm);
+  bleachClockMin = 0;
+  timeSeries = [{ t_min: 0, A: read(), c_mM: c }];
+  bleachRuns.push({ k_per_min: k, temperatureC: env.temperatureC, pH: env.pH, pigment: activePigment, lambda: lam, l_cm, points: timeSeries });
+  let nextReading = parseFloat(sampleInterval.value);
+  let lastTs = performance.now();
   bleachTimer = setInterval(() => {
     const now = performance.now();
-    const dt_min = (now - lastTs) / 60000; // ms -> min
+    const dt_min = (now - lastTs) / 60000 * parseFloat(clockSpeed.value); // ms -> simulated min
     lastTs = now;
-    const c = parseFloat(concentration.value);
-    const cNew = c * Math.exp(-k * dt_min);
-    concentration.value = String(cNew);
-
-    const t_min = (now - startTs) / 60000;
-    timeSeries.push({ t_min, c_mM: cNew });
-    if (timeSeries.length > 600) timeSeries.shift();
+    bleachClockMin += dt_min;
+    c *= Math.exp(-k * dt_min);
+    concentration.value = String(c);
+    // Readings land on the sampling grid even when one tick spans several intervals
+    while (bleachClockMin >= nextReading) {
+      const cAt = c * Math.exp(-k * (nextReading - bleachClockMin));
+      timeSeries.push({ t_min: nextReading, A: readA(lam, { ...currentSample(), [activePigment]: cAt }, l_cm), c_mM: cAt });
+      nextReading += parseFloat(sampleInterval.value);
+    }
+    bleachClock.textContent = `t = ${fmt(bleachClockMin, 1)} min`;
+    if (timeSeries.length >= BLEACH_MAX_READINGS) stopBleaching();
     updateTimePlot();
     updateAll();
-  }, 250);
+  }, BLEACH_TICK_MS);
 }
 
 function stopBleaching() {
@@ -667,6 +3204,10 @@ function stopBleaching() {
   bleachToggle.textContent = 'Start bleaching';
   clearInterval(bleachTimer);
   bleachTimer = null;
+  lockWavelength(false);
+  pathLength.disabled = false;
+  temperature.disabled = false;
+  samplePH.disabled = false;
 }
 
 // --- Auto calibration sequence ---
@@ -680,37 +3221,148 @@ function startAutoCalibration() {
   // Disable conflicting actions
   measureBtn.disabled = true;
   clearCalibration.disabled = true;
-  wavelength.disabled = true;
-
-  // Build concentrations from 0 to slider max (or 1.0 mM if larger), 11 steps
-  const cMax = Math.min(1.0, parseFloat(concentration.max || '1'));
-  const steps = 11;
-  const targets = Array.from({ length: steps }, (_, i) => +(cMax * i / (steps - 1)).toFixed(3));
-
-  // Start with a fresh calibration
-  calibrationData = [];
+  lockWavelength(true);
+  pathLength.disabled = true;
+  pigmentSelect.disabled = true;
+  scanBtn.disabled = true;
+
+  // Read the prepared standards of this pigment if there are any; otherwise build
+  // exact concentrations from 0 to the calibration top in the configured number of steps
+  const prepared = currentStandards();
+  const targets = prepared.length ? prepared : calibrationTargets(calibrationTop(), config.autoCalibration.steps);
+
+  // Start with a fresh calibration for this pigment and λ (other calibrations are kept)
+  recordHistory('auto calibration');
+  calibrationData = calibrationData.filter(d => !isCurrentCalibration(d));
   updateCalibrationPlot();
 
   const originalC = parseFloat(concentration.value);
+  const originalStandard = activeStandard;
   const lam = parseFloat(wavelength.value);
+  const l_cm = currentPathLength();
+  // Standards hold this pigment alone: set the rest of the mixture aside for the run
+  if (Object.keys(mixture).some(id => id !== activePigment && mixture[id] > 0)) {
+    autoMixture = mixture;
+    mixture = Object.fromEntries(Object.keys(mixture).map(id => [id, 0]));
+  }
   let idx = 0;
   autoTimer = setInterval(() => {
     if (idx >= targets.length) {
-      stopAutoCalibration(originalC);
+      if (originalStandard) loadStandard(originalStandard); else unloadStandard();
+      stopAutoCalibration(originalC, true);
+      const fit = currentFit();
+      announce(`Auto calibration finished: ${targets.length} points${fit ? `, R² = ${fmt(fit.r2, 4)}` : ''}`);
       return;
     }
-    const c_mM = targets[idx++];
-    concentration.value = String(c_mM);
+    const target = targets[idx++];
+    if (prepared.length) loadStandard(target);
+    else concentration.value = String(target);
     updateAll(); // animate instrument view with new T
-    const Atrue = absorbance(lam, c_mM, 1);
-    const A = Math.max(0, noiseToggle.checked ? Atrue + randn()*NOISE_STD_A : Atrue);
-    calibrationData.push({ c_mM, A });
+    const A = readA(lam, currentSample(), l_cm);
+    recordCalibrationPoint(sampleConcentration(), A, lam, l_cm, 'auto', activeStandard);
     updateCalibrationPlot();
     flashMeasurementCue();
   }, 300);
 }
 
-function stopAutoCalibration(restoreC = null) {
+// --- Wavelength scan ---
+// Step the instrument across a λ range, reading the current sample at each point,
+// then report the experimental λmax (parabola through the highest reading and its
+// neighbours) and offer to set the wavelength to it.
+function experimentalLambdaMax(data) {
+  if (!data.length) return null;
+  let i = 0;
+  data.forEach((d, k) => { if (d.A > data[i].A) i = k; });
+  if (i === 0 || i === data.length - 1) return data[i].lambda;
+  const [a, b, c] = [data[i - 1], data[i], data[i + 1]];
+  const denom = a.A - 2 * b.A + c.A;
+  if (denom === 0) return b.lambda;
+  const h = (c.lambda - a.lambda) / 2;
+  return b.lambda + h * (a.A - c.A) / (2 * denom);
+}
+
+// A scan field's value held to the input's min/max (and shown so), NaN when empty
+function scanSetting(input) {
+  const value = parseFloat(input.value);
+  if (!Number.isFinite(value)) return NaN;
+  const held = clamp(value, parseFloat(input.min), parseFloat(input.max));
+  input.value = String(held);
+  return held;
+}
+
+function startScan() {
+  if (scanRunning || autoRunning || isColorimeterMode()) return;
+  const [a, b, step] = [scanFrom, scanTo, scanStep].map(scanSetting);
+  if (![a, b, step].every(Number.isFinite)) {
+    scanResult.textContent = 'Enter a start, an end and a step for the scan.';
+    return;
+  }
+  const from = Math.min(a, b);
+  const to = Math.max(a, b);
+  if (isOverlayVisible()) hideUnknownOverlay(false);
+  scanRunning = true;
+  scanBtn.textContent = '⏹ Stop scan';
+  scanBtn.setAttribute('aria-pressed', 'true');
+  measureBtn.disabled = true;
+  autoCalibrateBtn.disabled = true;
+  lockWavelength(true);
+  useLambdaMaxBtn.classList.add('is-hidden');
+  scanData = [];
+  scanLambdaMax = null;
+  scanResult.textContent = '';
+
+  const originalLambda = parseFloat(wavelength.value);
+  const l_cm = currentPathLength();
+  let lam = from;
+  scanTimer = setInterval(() => {
+    if (lam > to) {
+      stopScan(originalLambda, true);
+      return;
+    }
+    wavelength.value = String(lam);
+    updateAll(); // animate slider and instrument view
+    scanData.push({ lambda: lam, A: readA(lam, currentSample(), l_cm) });
+    updateSpectrum();
+    flashMeasurementCue();
+    lam += step;
+  }, 150);
+}
+
+function stopScan(restoreLambda = null, completed = false) {
+  if (!scanRunning) return;
+  scanRunning = false;
+  clearInterval(scanTimer);
+  scanTimer = null;
+  scanBtn.textContent = '🔍 Scan';
+  scanBtn.setAttribute('aria-pressed', 'false');
+  measureBtn.disabled = false;
+  autoCalibrateBtn.disabled = false;
+  lockWavelength(false);
+  if (restoreLambda != null) wavelength.value = String(restoreLambda);
+  if (completed) {
+    scanLambdaMax = experimentalLambdaMax(scanData);
+    renderScanResult();
+    announce(`Scan finished. ${scanResult.textContent}`);
+  }
+  updateAll();
+  updateCalibrationPlot();
+  settleRun('scan', completed);
+}
+
+function renderScanResult() {
+  if (scanLambdaMax === null || !scanData.length) {
+    scanResult.textContent = '';
+    useLambdaMaxBtn.classList.add('is-hidden');
+    return;
+  }
+  const best = scanData.reduce((a, b) => (b.A > a.A ? b : a));
+  scanResult.textContent = `Experimental λmax ≈ ${fmt(scanLambdaMax, 1)} nm (highest reading A = ${fmt(best.A, 3)} at ${best.lambda} nm)`;
+  useLambdaMaxBtn.textContent = `Set λ to ${Math.round(scanLambdaMax)} nm`;
+  useLambdaMaxBtn.classList.toggle('is-hidden', isColorimeterMode());
+}
+
+// completed: the run reached its last point (otherwise it was stopped)
+function stopAutoCalibration(restoreC = null, completed = false) {
   if (!autoRunning) return;
   autoRunning = false;
   clearInterval(autoTimer);
@@ -720,27 +3372,484 @@ function stopAutoCalibration(restoreC = null) {
   // Re-enable controls
   measureBtn.disabled = false;
   clearCalibration.disabled = false;
-  wavelength.disabled = false;
-  if (restoreC != null) {
-    concentration.value = String(restoreC);
-    updateAll();
+  updateHistoryButtons();
+  lockWavelength(false);
+  pathLength.disabled = false;
+  pigmentSelect.disabled = false;
+  scanBtn.disabled = isColorimeterMode();
+  const hadMixture = autoMixture !== null;
+  if (hadMixture) {
+    mixture = autoMixture;
+    autoMixture = null;
+  }
+  if (restoreC != null) concentration.value = String(restoreC);
+  if (restoreC != null || hadMixture) updateAll();
+  settleRun('autoCalibration', completed);
+}
+
+// --- Sessions ---
+// The whole experiment is autosaved to localStorage (debounced) and restored on
+// startup; the shareable parameters are mirrored into the URL hash, which wins
+// over the autosave so a teacher's link always opens as written.
+const AUTOSAVE_KEY = 'colorimeter-session';
+const AUTOSAVE_DELAY_MS = 500;
+let autosaveTimer = null;
+let restoring = false;
+
+function currentSettings() {
+  return {
+    wavelength: parseFloat(wavelength.value),
+    concentration: parseFloat(concentration.value),
+    pigment: activePigment,
+    mixture: currentSample(),
+    noise: noiseToggle.checked,
+    pathLength: currentPathLength(),
+    fitModel: fitModel.value,
+    plotVsPathLength: plotVsPathLength.checked,
+    strayLight: parseFloat(strayLight.value),
+    bandwidth: parseFloat(bandwidth.value),
+    bleachRate: parseFloat(bleachRate.value),
+    illuminant: illuminant.value,
+    instrument: instrumentType.value,
+    led: activeLed,
+    ...currentEnvironment()
+  };
+}
+
+function currentSession() {
+  return createSession({
+    settings: currentSettings(),
+    calibration: calibrationData,
+    unknownResults,
+    bleachRuns,
+    scan: scanData.length ? { data: scanData, lambdaMax: scanLambdaMax } : null,
+    leakage: leakageData,
+    standards
+  });
+}
+
+// Apply a (partial, already validated) settings object to the controls
+function applySettings(settings) {
+  restoring = true;
+  if (settings.mixture) mixture = { ...defaultMixture(), ...settings.mixture };
+  if (settings.pigment) {
+    if (settings.pigment !== activePigment) unloadStandard();
+    activePigment = settings.pigment;
+    pigmentSelect.value = activePigment;
+    concentration.value = String(mixture[activePigment]);
+  }
+  if (settings.concentration !== undefined) concentration.value = String(settings.concentration);
+  if (settings.wavelength !== undefined) wavelength.value = String(settings.wavelength);
+  if (settings.noise !== undefined) noiseToggle.checked = settings.noise;
+  if (settings.pathLength !== undefined) {
+    const opt = [...pathLength.options].find(o => parseFloat(o.value) === settings.pathLength);
+    if (opt) pathLength.value = opt.value;
+  }
+  if (settings.fitModel !== undefined) fitModel.value = settings.fitModel;
+  if (settings.plotVsPathLength !== undefined) plotVsPathLength.checked = settings.plotVsPathLength;
+  if (settings.strayLight !== undefined) strayLight.value = String(settings.strayLight);
+  if (settings.bandwidth !== undefined) bandwidth.value = String(settings.bandwidth);
+  if (settings.bleachRate !== undefined) bleachRate.value = String(settings.bleachRate);
+  if (settings.temperatureC !== undefined) temperature.value = String(settings.temperatureC);
+  if (settings.pH !== undefined) samplePH.value = String(settings.pH);
+  if (settings.illuminant !== undefined) illuminant.value = settings.illuminant;
+  if (settings.instrument !== undefined) instrumentType.value = settings.instrument;
+  if (settings.led !== undefined) activeLed = settings.led;
+  temperatureOut.textContent = `${Math.round(parseFloat(temperature.value))}`;
+  samplePHOut.textContent = fmt(parseFloat(samplePH.value), 1);
+  strayLightOut.textContent = fmt(parseFloat(strayLight.value), 2);
+  bleachRateOut.textContent = fmt(parseFloat(bleachRate.value), 3);
+  applyInstrumentType();
+  renderStandards();
+  calibrationChart.options.scales.x.title.text = calibXTitle();
+  restoring = false;
+  updateCalibrationPlot();
+  updateAll();
+}
+
+function restoreSession(session) {
+  if (isOverlayVisible()) hideUnknownOverlay(true);
+  stopAutoCalibration();
+  stopScan();
+  stopBleaching();
+  endUnknownSession();
+  calibrationData = session.calibration;
+  unknownResults = session.unknownResults;
+  bleachRuns = session.bleachRuns;
+  timeSeries = bleachRuns.length ? bleachRuns[bleachRuns.length - 1].points : [];
+  scanData = session.scan ? session.scan.data : [];
+  spectrumKey = null;
+  scanLambdaMax = session.scan ? session.scan.lambdaMax : null;
+  renderScanResult();
+  updateTimePlot();
+  leakageData = session.leakage;
+  updateLeakagePlot();
+  standards = session.standards;
+  activeStandard = null;
+  if (standards) showPlan(standards.plan);
+  applySettings(session.settings);
+}
+
+function scheduleAutosave() {
+  if (restoring) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(autosave, AUTOSAVE_DELAY_MS);
+}
+
+function autosave() {
+  autosaveTimer = null;
+  try {
+    localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(currentSession()));
+  } catch {
+    // Storage may be full or disabled (private browsing); the session still works
+  }
+  const hash = `#${settingsToHash(currentSettings())}`;
+  if (window.location.hash !== hash) history.replaceState(null, '', hash);
+}
+
+function restoreOnStartup() {
+  try {
+    const saved = localStorage.getItem(AUTOSAVE_KEY);
+    if (saved) restoreSession(parseSession(saved));
+  } catch {
+    // A corrupt or newer autosave is ignored rather than blocking startup
   }
+  if (window.location.hash.length > 1) applySettings(settingsFromHash(window.location.hash));
+}
+
+function saveSessionFile() {
+  downloadFile('colorimeter-session.json', JSON.stringify(currentSession(), null, 2), 'application/json');
+  sessionStatus.textContent = 'Session saved';
+}
+
+function loadSessionFile(file) {
+  file.text()
+    .then(text => {
+      const session = parseSession(text);
+      recordHistory('loading a session', true);
+      restoreSession(session);
+      sessionStatus.textContent = `Loaded session (${session.calibration.length} calibration points)`;
+      sessionStatus.classList.remove('warn');
+    })
+    .catch(err => {
+      sessionStatus.textContent = `Could not load session: ${err.message}`;
+      sessionStatus.classList.add('warn');
+    });
+}
+
+// --- Teacher configuration ---
+// A class config comes from ?config= in the URL (a JSON file's URL, or inline JSON)
+// or from a file loaded with "Class config…", which is kept in localStorage until
+// "Use defaults". The URL wins, and is not stored.
+const CONFIG_KEY = 'colorimeter-config';
+
+// config.js feature → elements hidden when it is switched off
+const FEATURE_ELEMENTS = {
+  lessons:       ['lessonsToggle', 'lessonPanel'],
+  advanced:      ['advancedToggle', 'advancedPanel'],
+  spectrum:      ['toggleSpectrum', 'spectrumPanel'],
+  theory:        ['showTheoryRow'],
+  bleaching:     ['toggleBleaching', 'bleachingPanel'],
+  optics:        ['toggleOptics', 'opticsPanel'],
+  colour:        ['toggleColour', 'colourPanel'],
+  mixture:       ['toggleMixture', 'mixturePanel'],
+  membrane:      ['toggleMembrane', 'membranePanel'],
+  import:        ['toggleImport', 'importPanel'],
+  classroom:     ['toggleClassroom', 'classroomPanel'],
+  noiseToggle:   ['noiseControl'],
+  autoCalibrate: ['autoCalibrateBtn'],
+  unknown:       ['unknownBtn'],
+  instrument:    ['instrumentControl'],
+  standards:     ['toggleStandards', 'standardsPanel', 'standardControl']
+};
+
+function applyConfig(cfg) {
+  config = cfg;
+  configurePigments(cfg.pigments);
+  spectrumKey = null;
+  lambdaMaxKey = null;
+  concentration.max = String(cfg.concentration.max);
+  concentration.step = String(cfg.concentration.step);
+  concentration.value = String(Math.min(parseFloat(concentration.value), cfg.concentration.max));
+  noiseToggle.checked = cfg.noise.enabled;
+  for (const [feature, ids] of Object.entries(FEATURE_ELEMENTS)) {
+    for (const id of ids) el(id).classList.toggle('feature-off', !cfg.features[feature]);
+  }
+  if (!cfg.features.theory) showTheory.checked = false;
+  if (!cfg.features.advanced || !cfg.features.bleaching) stopBleaching();
+  if (!cfg.features.lessons) endLesson();
+  // Also redraws the spectrum if this config turns it back on
+  updateAll();
+  updateCalibrationPlot();
+}
+
+function showConfigStatus(text, isError = false) {
+  configStatus.textContent = text;
+  configStatus.classList.toggle('warn', isError);
+}
+
+function configLabel(cfg) {
+  return `Class config: ${cfg.title || 'custom'}`;
+}
+
+function loadConfigFile(file) {
+  file.text()
+    .then(text => {
+      const cfg = parseConfig(text);
+      applyConfig(cfg);
+      localStorage.setItem(CONFIG_KEY, text);
+      showConfigStatus(configLabel(cfg));
+      configClearBtn.classList.remove('is-hidden');
+    })
+    .catch(err => showConfigStatus(`Config not applied: ${err.message}`, true));
+}
+
+function clearConfig() {
+  localStorage.removeItem(CONFIG_KEY);
+  applyConfig(DEFAULT_CONFIG);
+  showConfigStatus('');
+  configClearBtn.classList.add('is-hidden');
+}
+
+// At startup: the URL's config, else the stored one. A URL pointing to a file is
+// fetched, so that config arrives after the first render.
+function loadStartupConfig() {
+  const param = new URLSearchParams(window.location.search).get('config');
+  if (param !== null) {
+    const text = param.trim().startsWith('{')
+      ? Promise.resolve(param)
+      : fetch(param).then(res => {
+        if (!res.ok) throw new Error(`could not fetch ${param} (HTTP ${res.status})`);
+        return res.text();
+      });
+    text.then(t => {
+      const cfg = parseConfig(t);
+      applyConfig(cfg);
+      showConfigStatus(configLabel(cfg));
+    }).catch(err => showConfigStatus(`Config not applied: ${err.message}`, true));
+    return;
+  }
+  const stored = localStorage.getItem(CONFIG_KEY);
+  if (!stored) return;
+  try {
+    const cfg = parseConfig(stored);
+    applyConfig(cfg);
+    showConfigStatus(configLabel(cfg));
+    configClearBtn.classList.remove('is-hidden');
+  } catch (err) {
+    showConfigStatus(`Stored config not applied: ${err.message}`, true);
+    configClearBtn.classList.remove('is-hidden');
+  }
+}
+
+// --- Scripting API ---
+// window.colorimeter drives the instrument without clicks: from the browser console
+// for a demonstration, from lesson tooling, or from headless browser tests. Setters
+// move the same controls a student would and return the value actually set; runs
+// that take time return promises; on(type, handler) subscribes to events. Values
+// the student is not meant to see before submitting (unknowns, bleaching rates)
+// are not exposed. The README's "Scripting API" section lists every call.
+const API_EVENTS = ['measurement', 'fitchange', 'unknownresult'];
+const apiListeners = new Map(API_EVENTS.map(type => [type, new Set()]));
+const runWaiters = { autoCalibration: null, scan: null };   // { resolve, reject } of a scripted run
+let lastFitSignature = 'null';
+
+// A failing handler must not break the app or the other handlers. Its error goes
+// to the console on purpose: it is the script author's bug, not the student's, so
+// it stays out of the page, and the console is where that author is looking.
+function emit(type, detail) {
+  for (const handler of apiListeners.get(type)) {
+    try {
+      handler(detail);
+    } catch (err) {
+      console.error(`colorimeter "${type}" handler failed:`, err);
+    }
+  }
+}
+
+// The fit as plain data, or null when there are too few points
+function fitSummary(fit) {
+  if (!fit) return null;
+  return {
+    model: fit.model, pigment: activePigment, lambda: parseFloat(wavelength.value), xUnit: calibXUnit(),
+    params: { ...fit.params }, se: { ...fit.se }, r2: fit.r2, syx: fit.syx, n: fit.n, dof: fit.dof
+  };
+}
+
+function notifyFitChange(fit) {
+  const summary = fitSummary(fit);
+  const signature = JSON.stringify(summary);
+  if (signature === lastFitSignature) return;
+  lastFitSignature = signature;
+  emit('fitchange', summary);
+}
+
+// End a scripted run's promise when its run stops
+function settleRun(run, completed) {
+  const waiter = runWaiters[run];
+  if (!waiter) return;
+  runWaiters[run] = null;
+  if (!completed) waiter.reject(new Error(`the ${run === 'scan' ? 'scan' : 'auto calibration'} was stopped`));
+  else if (run === 'scan') waiter.resolve({ data: scanData.map(d => ({ ...d })), lambdaMax: scanLambdaMax });
+  else waiter.resolve({ points: fittedCalibrationData().map(d => ({ ...d })), fit: fitSummary(currentFit()) });
+}
+
+function currentReading() {
+  const lam = parseFloat(wavelength.value);
+  const l_cm = currentPathLength();
+  const A = readA(lam, currentSample(), l_cm);
+  const T = transmittanceFromA(A);
+  return { lambda: lam, c_mM: sampleConcentration(), pigment: activePigment, l_cm, A, T, signal: referenceIntensity() * T };
+}
+
+function checkNumber(name, value, min, max, unit) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`${name} must be a number from ${min} to ${max} ${unit}, not ${JSON.stringify(value)}`);
+  }
+}
+
+function busyError() {
+  if (autoRunning) return new Error('an auto calibration is running');
+  if (scanRunning) return new Error('a scan is running');
+  return null;
+}
+
+function createApi() {
+  return Object.freeze({
+    events: [...API_EVENTS],
+
+    setWavelength(nm) {
+      checkNumber('λ', nm, parseFloat(wavelength.min), parseFloat(wavelength.max), 'nm');
+      if (wavelength.disabled) throw new Error('λ is locked while a run is in progress');
+      showWavelength(nm);
+      updateAll();
+      updateCalibrationPlot();
+      return parseFloat(wavelength.value);
+    },
+
+    // The slider's step applies: the value set is returned
+    setConcentration(mM) {
+      checkNumber('the concentration', mM, 0, parseFloat(concentration.max), 'mM');
+      unloadStandard();
+      concentration.value = String(mM);
+      updateAll();
+      return sampleConcentration();
+    },
+
+    setNoise(on) {
+      if (typeof on !== 'boolean') throw new Error('noise must be true or false');
+      noiseToggle.checked = on;
+      updateAll();
+      return on;
+    },
+
+    zero() {
+      zeroWithBlank();
+    },
+
+    // Current readings, without adding a point
+    read() {
+      return currentReading();
+    },
+
+    // Add the sample to the calibration, as the Measure button does
+    measure() {
+      const busy = busyError();
+      if (busy) throw busy;
+      return { ...measureSample() };
+    },
+
+    autoCalibrate() {
+      const busy = busyError();
+      if (busy) return Promise.reject(busy);
+      return new Promise((resolve, reject) => {
+        runWaiters.autoCalibration = { resolve, reject };
+        startAutoCalibration();
+      });
+    },
+
+    // Scan from–to nm in steps of step nm; omitted values keep the Spectrum panel's
+    scan({ from = parseFloat(scanFrom.value), to = parseFloat(scanTo.value), step = parseFloat(scanStep.value) } = {}) {
+      const busy = busyError();
+      if (busy) return Promise.reject(busy);
+      if (isColorimeterMode()) return Promise.reject(new Error('a colorimeter cannot scan: switch to the spectrophotometer'));
+      try {
+        checkNumber('from', from, parseFloat(scanFrom.min), parseFloat(scanFrom.max), 'nm');
+        checkNumber('to', to, parseFloat(scanTo.min), parseFloat(scanTo.max), 'nm');
+        checkNumber('step', step, parseFloat(scanStep.min), parseFloat(scanStep.max), 'nm');
+      } catch (err) {
+        return Promise.reject(err);
+      }
+      scanFrom.value = String(from);
+      scanTo.value = String(to);
+      scanStep.value = String(step);
+      return new Promise((resolve, reject) => {
+        runWaiters.scan = { resolve, reject };
+        startScan();
+      });
+    },
+
+    // Stop a running auto calibration or scan; its promise rejects
+    stop() {
+      stopAutoCalibration();
+      stopScan();
+    },
+
+    getFit() {
+      return fitSummary(currentFit());
+    },
+
+    startBleaching() {
+      startBleaching();
+    },
+
+    // The run's readings (t in simulated minutes, A)
+    stopBleaching() {
+      stopBleaching();
+      const run = bleachRuns[bleachRuns.length - 1];
+      return run ? run.points.map(p => ({ t_min: p.t_min, A: p.A })) : [];
+    },
+
+    // Returns a function that unsubscribes
+    on(type, handler) {
+      if (!apiListeners.has(type)) throw new Error(`"${type}" is not an event (use ${API_EVENTS.join(', ')})`);
+      if (typeof handler !== 'function') throw new Error('the handler must be a function');
+      apiListeners.get(type).add(handler);
+      return () => apiListeners.get(type).delete(handler);
+    },
+
+    off(type, handler) {
+      if (apiListeners.has(type)) apiListeners.get(type).delete(handler);
+    }
+  });
 }
 
 // --- Boot ---
 window.addEventListener('DOMContentLoaded', () => {
+  attachChartTables();
   initCharts();
+  startBeamRenderer();
+  populatePigmentSelect();
+  populateImportUnits();
+  populateIlluminants();
+  populateLeds();
+  populateStandardsForm();
+  populateDataSets();
+  populateLessonSelect();
+  populateShortcuts();
   attachEvents();
+  window.colorimeter = createApi();
   // Observe canvas size changes to keep overlay aligned on responsive layouts
   const calibCanvas = document.getElementById('calibrationChart');
   if (window.ResizeObserver && calibCanvas) {
     const ro = new ResizeObserver(() => {
-      if (isOverlayVisible() && lastUnknownOverlayParams) {
-        const { A_meas, c_est, c_unknown, m, b } = lastUnknownOverlayParams;
-        positionUnknownOverlay(A_meas, c_est, c_unknown, m, b);
-      }
+      if (isOverlayVisible() && lastUnknownOverlayParams) positionUnknownOverlay(lastUnknownOverlayParams);
     });
     ro.observe(calibCanvas);
   }
+  loadStartupConfig();
+  restoreOnStartup();
   updateAll();
+  // Keep the blank age ticking between interactions
+  setInterval(updateBlankStatus, 5000);
 });
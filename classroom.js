@@ -0,0 +1,110 @@
+/*
+  Class comparison of calibrations from several groups (no DOM access).
+  Each group hands in an exported calibration CSV or a saved session. Every
+  group's main calibration (its largest pigment and λ set) is fitted as A against
+  c·l, so groups using different cuvettes compare on one slope in A/(mM·cm).
+  Groups far from the class median are flagged with a robust z-score.
+*/
+
+import { parseCsv, guessMapping, convertRows } from './csv.js';
+import { parseSession } from './session.js';
+import { fitCalibration } from './fitting.js';
+
+// Modified z-score (Iglewicz and Hoaglin) above which a group is flagged; needs
+// at least MIN_GROUPS_FOR_OUTLIERS groups to say anything about the class
+export const OUTLIER_Z = 3.5;
+export const MIN_GROUPS_FOR_OUTLIERS = 3;
+export const MIN_R2 = 0.98;
+
+// A group from file text: session JSON if it looks like one, else calibration CSV.
+// defaults supplies λ, l and pigment for CSV columns that are missing. Throws an
+// Error saying why the file cannot be used.
+export function groupFromFile(name, text, defaults) {
+  const label = name.replace(/\.(csv|txt|json)$/i, '');
+  if (text.trim().startsWith('{')) {
+    const session = parseSession(text);
+    return { name: label, points: session.calibration, unknownResults: session.unknownResults };
+  }
+  const parsed = parseCsv(text);
+  const { mapping, unit } = guessMapping(parsed);
+  const { points, errors } = convertRows(parsed, { mapping, unit, defaults, source: label });
+  if (!points.length) throw new Error(errors.length ? errors[0].message : 'no calibration rows');
+  return { name: label, points, unknownResults: [] };
+}
+
+// The group's largest calibration set (same pigment and λ)
+export function mainCalibration(points) {
+  const sets = new Map();
+  for (const d of points) {
+    const key = `${d.pigment}@${d.lambda}`;
+    if (!sets.has(key)) sets.set(key, { pigment: d.pigment, lambda: d.lambda, points: [] });
+    sets.get(key).points.push(d);
+  }
+  return [...sets.values()].sort((a, b) => b.points.length - a.points.length)[0] || null;
+}
+
+function median(values) {
+  const v = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+// Modified z-scores 0.6745·(x − median)/MAD; all 0 when the MAD is 0
+function robustZ(values) {
+  const med = median(values);
+  const mad = median(values.map(v => Math.abs(v - med)));
+  return values.map(v => (mad > 0 ? 0.6745 * (v - med) / mad : 0));
+}
+
+// Compare groups [{ name, points, unknownResults }]. Returns one summary per group
+// with its fit (null when it has fewer than two points) and a list of flags.
+export function compareGroups(groups) {
+  const rows = groups.map(g => {
+    // Points a group left out of its own fit stay out
+    const set = mainCalibration(g.points.filter(d => !d.excluded));
+    const fit = set ? fitCalibration(set.points.map(d => ({ x: d.c_mM * d.l_cm, y: d.A })), 'linear') : null;
+    const errors = g.unknownResults.map(r => r.errorPct).filter(Number.isFinite);
+    return {
+      name: g.name,
+      pigment: set ? set.pigment : null,
+      lambda: set ? set.lambda : null,
+      n: set ? set.points.length : 0,
+      points: set ? set.points : [],
+      fit,
+      m: fit ? fit.params.m : NaN,
+      b: fit ? fit.params.b : NaN,
+      r2: fit ? fit.r2 : NaN,
+      unknownCount: errors.length,
+      meanAbsError: errors.length ? errors.reduce((s, e) => s + Math.abs(e), 0) / errors.length : NaN,
+      flags: []
+    };
+  });
+  for (const row of rows) {
+    if (!row.fit) row.flags.push('too few points to fit');
+    else if (row.r2 < MIN_R2) row.flags.push(`poor fit (R² < ${MIN_R2})`);
+  }
+  const fitted = rows.filter(r => r.fit);
+  const lambdas = new Set(fitted.map(r => `${r.pigment}@${r.lambda}`));
+  if (fitted.length >= MIN_GROUPS_FOR_OUTLIERS) {
+    const checks = [['slope', r => r.m], ['intercept', r => r.b]];
+    for (const [label, value] of checks) {
+      const z = robustZ(fitted.map(value));
+      fitted.forEach((r, i) => {
+        if (Math.abs(z[i]) > OUTLIER_Z) r.flags.push(`${label} ${z[i] > 0 ? 'high' : 'low'} (z = ${z[i].toFixed(1)})`);
+      });
+    }
+    const withUnknowns = rows.filter(r => r.unknownCount);
+    if (withUnknowns.length >= MIN_GROUPS_FOR_OUTLIERS) {
+      const z = robustZ(withUnknowns.map(r => r.meanAbsError));
+      withUnknowns.forEach((r, i) => {
+        if (z[i] > OUTLIER_Z) r.flags.push(`unknown error high (z = ${z[i].toFixed(1)})`);
+      });
+    }
+  }
+  const summary = fitted.length ? {
+    medianSlope: median(fitted.map(r => r.m)),
+    medianIntercept: median(fitted.map(r => r.b)),
+    mixedSettings: lambdas.size > 1
+  } : null;
+  return { rows, summary };
+}
@@ -0,0 +1,144 @@
+/*
+  Colour of a solution from its transmission spectrum (no DOM access).
+  XYZ = Σ S(λ) T(λ) x̄ȳz̄(λ) Δλ over 380–780 nm, normalised so a perfect
+  transmitter has Y = 100. The CIE 1931 2° colour-matching functions use the
+  multi-lobe Gaussian fit of Wyman, Sloan and Shirley (2013). Display colours are
+  adapted to the sRGB white (D65) with the Bradford transform; L*a*b* is relative
+  to the illuminant's own white.
+*/
+
+const LAMBDA_MIN = 380;
+const LAMBDA_MAX = 780;
+const STEP_NM = 5;
+
+// Piecewise Gaussian: separate widths below and above the centre
+function lobe(lambdaNm, mu, sigmaBelow, sigmaAbove) {
+  const t = (lambdaNm - mu) / (lambdaNm < mu ? sigmaBelow : sigmaAbove);
+  return Math.exp(-0.5 * t * t);
+}
+
+export function colorMatching(lambdaNm) {
+  return {
+    x: 1.056 * lobe(lambdaNm, 599.8, 37.9, 31.0) + 0.362 * lobe(lambdaNm, 442.0, 16.0, 26.7) - 0.065 * lobe(lambdaNm, 501.1, 20.4, 26.2),
+    y: 0.821 * lobe(lambdaNm, 568.8, 46.9, 40.5) + 0.286 * lobe(lambdaNm, 530.9, 16.3, 31.1),
+    z: 1.217 * lobe(lambdaNm, 437.0, 11.8, 36.0) + 0.681 * lobe(lambdaNm, 459.0, 26.0, 13.8)
+  };
+}
+
+// CIE D65 relative spectral power, 380–780 nm every 10 nm
+const D65_10NM = [
+  49.98, 54.65, 82.75, 91.49, 93.43, 86.68, 104.86, 117.01, 117.81, 114.86, 115.92,
+  108.81, 109.35, 107.80, 104.79, 107.69, 104.41, 104.05, 100.00, 96.33, 95.79,
+  88.69, 90.01, 89.60, 87.70, 83.29, 83.70, 80.03, 80.21, 82.28, 78.28,
+  69.72, 71.61, 74.35, 61.60, 69.89, 75.09, 63.59, 46.42, 66.81, 63.38
+];
+
+function clampIndex(i) {
+  return Math.max(0, Math.min(D65_10NM.length - 1, i));
+}
+
+export const ILLUMINANTS = {
+  D65: {
+    label: 'D65 (daylight)',
+    spd: (lambdaNm) => {
+      const i = clampIndex((lambdaNm - LAMBDA_MIN) / 10);
+      const lo = Math.floor(i);
+      const hi = Math.min(lo + 1, D65_10NM.length - 1);
+      return D65_10NM[lo] + (D65_10NM[hi] - D65_10NM[lo]) * (i - lo);
+    }
+  },
+  A: {
+    label: 'A (incandescent, 2856 K)',
+    // Planck's law relative to 560 nm, as CIE defines illuminant A
+    spd: (lambdaNm) => 100 * (560 / lambdaNm) ** 5 * Math.expm1(1.435e7 / (2848 * 560)) / Math.expm1(1.435e7 / (2848 * lambdaNm))
+  },
+  E: {
+    label: 'E (equal energy)',
+    spd: () => 100
+  }
+};
+
+// Tristimulus values of light through a sample with transmittance transmittance(λ)
+export function spectrumToXYZ(transmittance, illuminant = 'D65') {
+  const { spd } = ILLUMINANTS[illuminant];
+  let X = 0, Y = 0, Z = 0, Yw = 0;
+  for (let lam = LAMBDA_MIN; lam <= LAMBDA_MAX; lam += STEP_NM) {
+    const s = spd(lam);
+    const t = transmittance(lam);
+    const cmf = colorMatching(lam);
+    X += s * t * cmf.x;
+    Y += s * t * cmf.y;
+    Z += s * t * cmf.z;
+    Yw += s * cmf.y;
+  }
+  const k = 100 / Yw;
+  return { X: X * k, Y: Y * k, Z: Z * k };
+}
+
+export function whitePoint(illuminant = 'D65') {
+  return spectrumToXYZ(() => 1, illuminant);
+}
+
+export function chromaticity({ X, Y, Z }) {
+  const sum = X + Y + Z;
+  return sum > 0 ? { x: X / sum, y: Y / sum } : { x: NaN, y: NaN };
+}
+
+// CIE 1976 L*a*b* relative to the white of the illuminant
+export function xyzToLab({ X, Y, Z }, white) {
+  const d = 6 / 29;
+  const f = (t) => (t > d ** 3 ? Math.cbrt(t) : t / (3 * d * d) + 4 / 29);
+  const fx = f(X / white.X), fy = f(Y / white.Y), fz = f(Z / white.Z);
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+const BRADFORD = [[0.8951, 0.2664, -0.1614], [-0.7502, 1.7135, 0.0367], [0.0389, -0.0685, 1.0296]];
+const BRADFORD_INV = [[0.9869929, -0.1470543, 0.1599627], [0.4323053, 0.5183603, 0.0492912], [-0.0085287, 0.0400428, 0.9684867]];
+const XYZ_TO_LINEAR_SRGB = [[3.2406, -1.5372, -0.4986], [-0.9689, 1.8758, 0.0415], [0.0557, -0.2040, 1.0570]];
+
+const apply = (m, v) => m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+
+// Adapt XYZ seen under `white` to the D65 white of an sRGB display
+function adaptToD65(xyz, white) {
+  const d65 = whitePoint('D65');
+  const src = apply(BRADFORD, [white.X, white.Y, white.Z]);
+  const dst = apply(BRADFORD, [d65.X, d65.Y, d65.Z]);
+  const cone = apply(BRADFORD, [xyz.X, xyz.Y, xyz.Z]).map((v, i) => v * dst[i] / src[i]);
+  const [X, Y, Z] = apply(BRADFORD_INV, cone);
+  return { X, Y, Z };
+}
+
+// sRGB colour for display. Components outside 0–1 are clipped and reported.
+export function xyzToSrgb(xyz, white = whitePoint('D65')) {
+  const { X, Y, Z } = adaptToD65(xyz, white);
+  const linear = apply(XYZ_TO_LINEAR_SRGB, [X / 100, Y / 100, Z / 100]);
+  const outOfGamut = linear.some(v => v < -1e-3 || v > 1 + 1e-3);
+  const encode = (v) => {
+    const c = Math.max(0, Math.min(1, v));
+    return c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055;
+  };
+  const [r, g, b] = linear.map(v => Math.round(encode(v) * 255));
+  const hex = '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+  return { r, g, b, hex, outOfGamut };
+}
+
+// Everything the app shows about a sample's colour
+export function solutionColor(transmittance, illuminant = 'D65') {
+  const xyz = spectrumToXYZ(transmittance, illuminant);
+  const white = whitePoint(illuminant);
+  return { xyz, ...chromaticity(xyz), lab: xyzToLab(xyz, white), srgb: xyzToSrgb(xyz, white) };
+}
+
+// Chromaticities of monochromatic light, for drawing the horseshoe. It starts at
+// 420 nm: below that the fit drifts, while the true locus barely moves.
+export function spectralLocus(step = 5) {
+  const points = [];
+  for (let lam = 420; lam <= 700; lam += step) {
+    const { x, y, z } = colorMatching(lam);
+    points.push({ lambda: lam, ...chromaticity({ X: x, Y: y, Z: z }) });
+  }
+  return points;
+}
+
+// Corners of the sRGB gamut in xy
+export const SRGB_PRIMARIES = [{ x: 0.64, y: 0.33 }, { x: 0.30, y: 0.60 }, { x: 0.15, y: 0.06 }];
@@ -0,0 +1,149 @@
+/*
+  Teacher configuration for the colorimeter simulator (no DOM access).
+  A config is a JSON document that overrides the pigment spectra, the noise level,
+  slider and sample ranges and which parts of the interface are shown, so the
+  difficulty can be set per class without editing code. Every field is optional.
+*/
+
+import { PIGMENTS, NOISE_STD_A } from './model.js';
+
+export const CONFIG_FORMAT = 'colorimeter-config';
+
+// Interface parts a config can hide (true = shown)
+export const FEATURES = {
+  lessons:       'Lessons button',
+  advanced:      'Advanced panel',
+  spectrum:      'Spectrum and wavelength scan',
+  theory:        'Theoretical spectrum curves',
+  bleaching:     'Bleaching kinetics',
+  optics:        'Optics settings',
+  colour:        'Solution colour and chromaticity',
+  mixture:       'Mixture analysis',
+  membrane:      'Membrane practical',
+  import:        'CSV import',
+  classroom:     'Class comparison',
+  noiseToggle:   'Noise on/off switch',
+  autoCalibrate: 'Auto calibrate button',
+  unknown:       'Unknown sample button',
+  instrument:    'Spectrophotometer/colorimeter switch',
+  standards:     'Standards preparation'
+};
+
+// null ranges are worked out from the slider: auto-calibration runs up to the
+// concentration maximum (at most 1 mM) and unknowns up to three times that
+export const DEFAULT_CONFIG = {
+  title: '',
+  pigments: {},
+  noise: { enabled: true, sdA: NOISE_STD_A },
+  concentration: { max: 1.5, step: 0.01 },
+  autoCalibration: { steps: 11, maxConcentration: null },
+  unknown: { min: 0, max: null },
+  features: Object.fromEntries(Object.keys(FEATURES).map(f => [f, true]))
+};
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Field → [check, message] per section; messages complete "<section>.<field> must be …"
+const FIELD_CHECKS = {
+  noise: {
+    enabled: [(v) => typeof v === 'boolean', 'true or false'],
+    sdA:     [(v) => isNum(v) && v >= 0 && v <= 0.1, 'a number from 0 to 0.1 (absorbance units)']
+  },
+  concentration: {
+    max:  [(v) => isNum(v) && v > 0 && v <= 100, 'a number of mM above 0 and at most 100'],
+    step: [(v) => isNum(v) && v > 0, 'a number of mM above 0']
+  },
+  autoCalibration: {
+    steps:            [(v) => Number.isInteger(v) && v >= 2 && v <= 50, 'a whole number from 2 to 50'],
+    maxConcentration: [(v) => v === null || (isNum(v) && v > 0), 'a number of mM above 0, or null']
+  },
+  unknown: {
+    min: [(v) => isNum(v) && v >= 0, 'a number of mM of 0 or more'],
+    max: [(v) => v === null || (isNum(v) && v > 0), 'a number of mM above 0, or null']
+  }
+};
+
+const BAND_CHECKS = {
+  peakNm:     [(v) => isNum(v) && v >= 300 && v <= 800, 'a wavelength from 300 to 800 nm'],
+  epsilonMax: [(v) => isNum(v) && v >= 0, 'a molar absorptivity of 0 or more'],
+  sigmaNm:    [(v) => isNum(v) && v > 0, 'a width in nm above 0']
+};
+
+function sectionErrors(name, value, checks) {
+  if (!isObject(value)) return [`${name} must be an object`];
+  const errors = [];
+  for (const [field, v] of Object.entries(value)) {
+    if (!checks[field]) errors.push(`${name}.${field} is not a setting (use ${Object.keys(checks).join(', ')})`);
+    else if (!checks[field][0](v)) errors.push(`${name}.${field} must be ${checks[field][1]}, not ${JSON.stringify(v)}`);
+  }
+  return errors;
+}
+
+function pigmentErrors(pigments) {
+  if (!isObject(pigments)) return ['pigments must be an object keyed by pigment id'];
+  const errors = [];
+  for (const [id, p] of Object.entries(pigments)) {
+    const where = `pigments.${id}`;
+    if (!Object.hasOwn(PIGMENTS, id)) { errors.push(`${where} is not a pigment (use ${Object.keys(PIGMENTS).join(', ')})`); continue; }
+    if (!isObject(p)) { errors.push(`${where} must be an object`); continue; }
+    for (const [field, v] of Object.entries(p)) {
+      if (field === 'baseline') { if (!(isNum(v) && v >= 0)) errors.push(`${where}.baseline must be a number of 0 or more`); }
+      else if (field === 'molarMass') { if (!(isNum(v) && v > 0)) errors.push(`${where}.molarMass must be a number of g/mol above 0`); }
+      else if (field === 'bands') {
+        if (!Array.isArray(v) || !v.length) { errors.push(`${where}.bands must be a non-empty list`); continue; }
+        v.forEach((band, i) => {
+          const bandWhere = `${where}.bands[${i}]`;
+          if (!isObject(band)) { errors.push(`${bandWhere} must be an object`); return; }
+          for (const key of Object.keys(BAND_CHECKS)) {
+            if (band[key] === undefined) errors.push(`${bandWhere} needs ${key}`);
+          }
+          errors.push(...sectionErrors(bandWhere, band, BAND_CHECKS));
+        });
+      } else errors.push(`${where}.${field} cannot be configured (use bands, baseline, molarMass)`);
+    }
+  }
+  return errors;
+}
+
+// Parse and check a config (JSON text or an already parsed object) and merge it
+// over the defaults. Throws an Error listing every problem.
+export function parseConfig(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error('the config is not valid JSON');
+    }
+  }
+  if (!isObject(data)) throw new Error('the config must be a JSON object');
+  if (data.format !== undefined && data.format !== CONFIG_FORMAT) throw new Error(`"format" must be "${CONFIG_FORMAT}"`);
+
+  const known = ['format', 'title', 'pigments', ...Object.keys(FIELD_CHECKS), 'features'];
+  const errors = Object.keys(data).filter(k => !known.includes(k)).map(k => `"${k}" is not a config section (use ${known.slice(1).join(', ')})`);
+  if (data.title !== undefined && typeof data.title !== 'string') errors.push('title must be text');
+  if (data.pigments !== undefined) errors.push(...pigmentErrors(data.pigments));
+  for (const [section, checks] of Object.entries(FIELD_CHECKS)) {
+    if (data[section] !== undefined) errors.push(...sectionErrors(section, data[section], checks));
+  }
+  if (data.features !== undefined) {
+    const featureChecks = Object.fromEntries(Object.keys(FEATURES).map(f => [f, [(v) => typeof v === 'boolean', 'true or false']]));
+    errors.push(...sectionErrors('features', data.features, featureChecks));
+  }
+
+  const config = { ...DEFAULT_CONFIG, title: data.title ?? '', pigments: data.pigments ?? {} };
+  for (const section of [...Object.keys(FIELD_CHECKS), 'features']) {
+    config[section] = { ...DEFAULT_CONFIG[section], ...(isObject(data[section]) ? data[section] : {}) };
+  }
+  if (!errors.length) {
+    const { concentration, autoCalibration, unknown } = config;
+    if (concentration.step >= concentration.max) errors.push('concentration.step must be smaller than concentration.max');
+    if (autoCalibration.maxConcentration !== null && autoCalibration.maxConcentration > concentration.max) {
+      errors.push('autoCalibration.maxConcentration cannot exceed concentration.max');
+    }
+    if (unknown.max !== null && unknown.max <= unknown.min) errors.push('unknown.max must be larger than unknown.min');
+  }
+  if (errors.length) throw new Error(errors.join('; '));
+  return config;
+}
@@ -0,0 +1,156 @@
+/*
+  CSV import for calibration data (no DOM access).
+  Reads the app's own export as well as files from bench colorimeters: the
+  delimiter is detected (comma, semicolon or tab), a header row is optional and
+  semicolon files may use decimal commas. Columns are mapped by the user, with a
+  guess from the header names.
+*/
+
+import { PIGMENTS } from './model.js';
+
+// Concentration units → factor to mM. mg/L divided by the molar mass (g/mol) is mM.
+export const CONCENTRATION_UNITS = {
+  mM:   { label: 'mM',   toMM: () => 1 },
+  uM:   { label: 'µM',   toMM: () => 1e-3 },
+  mgL:  { label: 'mg/L', toMM: (molarMass) => 1 / molarMass }
+};
+
+export const IMPORT_FIELDS = {
+  concentration: { label: 'Concentration', required: true },
+  absorbance:    { label: 'Absorbance', required: true },
+  wavelength:    { label: 'Wavelength (nm)', required: false },
+  pathLength:    { label: 'Path length (cm)', required: false },
+  pigment:       { label: 'Pigment', required: false },
+  source:        { label: 'Source', required: false },
+  excluded:      { label: 'Excluded from fit', required: false }
+};
+
+const HEADER_GUESSES = {
+  concentration: /conc|^c(_|\b)|\bmm\b|µm|\bum\b|mg/i,
+  absorbance:    /abs|^a(_|\b)|\bod(_|\d|\b)|optical/i,
+  wavelength:    /wave|lambda|λ|nm/i,
+  pathLength:    /path|^l(_|\b)|cuvette/i,
+  pigment:       /pigment|analyte|species/i,
+  source:        /source|origin/i,
+  excluded:      /exclu/i
+};
+
+// Cells that mark a point as left out of the fit, as in the app's own export
+const EXCLUDED_CELL = /^(true|yes|y|1|x|✗)$/i;
+
+function detectDelimiter(firstLine) {
+  const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+function splitLine(line, delimiter) {
+  // Minimal quoting: "a, b" stays one cell and "" is a literal quote
+  const cells = [];
+  let cell = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) { cells.push(cell.trim()); cell = ''; }
+    else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+export function parseNumber(text, decimalComma = false) {
+  const s = decimalComma ? text.replace(',', '.') : text;
+  return s.trim() === '' ? NaN : Number(s);
+}
+
+// Split CSV text into { delimiter, decimalComma, hasHeader, headers, rows }. Rows keep
+// their file line numbers for error messages. Without a header row the columns
+// are named "Column 1", "Column 2", ...
+export function parseCsv(text) {
+  const lines = text.replace(/^﻿/, '').split(/\r?\n/)
+    .map((raw, i) => ({ raw, line: i + 1 }))
+    .filter(l => l.raw.trim() !== '' && !l.raw.trim().startsWith('#'));
+  if (!lines.length) return { delimiter: ',', decimalComma: false, hasHeader: false, headers: [], rows: [] };
+  const delimiter = detectDelimiter(lines[0].raw);
+  const decimalComma = delimiter !== ',';
+  const split = lines.map(l => ({ cells: splitLine(l.raw, delimiter), line: l.line }));
+  const hasHeader = split[0].cells.some(c => c !== '' && !Number.isFinite(parseNumber(c, decimalComma)));
+  const width = Math.max(...split.map(r => r.cells.length));
+  const headers = hasHeader
+    ? Array.from({ length: width }, (_, i) => split[0].cells[i] || `Column ${i + 1}`)
+    : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+  return { delimiter, decimalComma, hasHeader, headers, rows: hasHeader ? split.slice(1) : split };
+}
+
+// Best guess from parseCsv() output of field → column index (-1 when nothing
+// matches), and of the concentration unit
+export function guessMapping({ headers, hasHeader }) {
+  const mapping = {};
+  const taken = new Set();
+  for (const field of Object.keys(IMPORT_FIELDS)) {
+    const i = hasHeader ? headers.findIndex((h, k) => !taken.has(k) && HEADER_GUESSES[field].test(h)) : -1;
+    mapping[field] = i;
+    if (i >= 0) taken.add(i);
+  }
+  // Headerless files: first two columns are c and A
+  if (mapping.concentration < 0 && mapping.absorbance < 0 && headers.length >= 2) {
+    mapping.concentration = 0;
+    mapping.absorbance = 1;
+  }
+  const cHeader = mapping.concentration >= 0 ? headers[mapping.concentration] : '';
+  const unit = hasHeader && /µm|\bum\b|micro/i.test(cHeader) ? 'uM' : /mg/i.test(cHeader) ? 'mgL' : 'mM';
+  return { mapping, unit };
+}
+
+// Map a pigment cell to a PIGMENTS id by id or by the start of its name
+function matchPigment(text) {
+  const t = text.trim().toLowerCase();
+  if (!t) return null;
+  return Object.keys(PIGMENTS).find(id => id === t || PIGMENTS[id].name.toLowerCase().startsWith(t)) || null;
+}
+
+// Turn parsed rows into calibration points. defaults supplies λ, l and pigment for
+// columns that are not mapped; source tags every point without a source column.
+// Points marked in an excluded column keep excluded: true.
+// Returns { points, errors: [{ line, message }] }; rows with errors are skipped.
+export function convertRows(parsed, { mapping, unit = 'mM', molarMass, defaults, source }) {
+  const points = [];
+  const errors = [];
+  for (const field of Object.keys(IMPORT_FIELDS)) {
+    if (IMPORT_FIELDS[field].required && !(mapping[field] >= 0)) {
+      errors.push({ line: null, message: `map a column to ${IMPORT_FIELDS[field].label.toLowerCase()}` });
+    }
+  }
+  if (unit === 'mgL' && !(molarMass > 0)) errors.push({ line: null, message: 'mg/L needs a molar mass in g/mol' });
+  if (errors.length) return { points, errors };
+
+  const factor = CONCENTRATION_UNITS[unit].toMM(molarMass);
+  const num = (cells, field) => parseNumber(cells[mapping[field]] ?? '', parsed.decimalComma);
+  for (const { cells, line } of parsed.rows) {
+    const problems = [];
+    const c = num(cells, 'concentration');
+    const A = num(cells, 'absorbance');
+    const lambda = mapping.wavelength >= 0 ? num(cells, 'wavelength') : defaults.lambda;
+    const l_cm = mapping.pathLength >= 0 ? num(cells, 'pathLength') : defaults.l_cm;
+    const pigment = mapping.pigment >= 0 ? matchPigment(cells[mapping.pigment] ?? '') : defaults.pigment;
+    if (!Number.isFinite(c)) problems.push(`concentration "${cells[mapping.concentration] ?? ''}" is not a number`);
+    else if (c < 0) problems.push('concentration is negative');
+    if (!Number.isFinite(A)) problems.push(`absorbance "${cells[mapping.absorbance] ?? ''}" is not a number`);
+    const cell = (field) => (mapping[field] >= 0 ? ` "${cells[mapping[field]] ?? ''}"` : '');
+    if (!Number.isFinite(lambda) || lambda < 380 || lambda > 700) problems.push(`wavelength${cell('wavelength')} must be 380–700 nm`);
+    if (!Number.isFinite(l_cm) || l_cm <= 0) problems.push(`path length${cell('pathLength')} must be a positive number of cm`);
+    if (!pigment) problems.push(`unknown pigment "${cells[mapping.pigment] ?? ''}"`);
+    if (problems.length) {
+      errors.push({ line, message: problems.join('; ') });
+      continue;
+    }
+    const rowSource = mapping.source >= 0 && cells[mapping.source] ? cells[mapping.source] : source;
+    const excluded = mapping.excluded >= 0 && EXCLUDED_CELL.test((cells[mapping.excluded] ?? '').trim());
+    points.push({ c_mM: c * factor, A, pigment, lambda, l_cm, blankAge: null, source: rowSource, excluded });
+  }
+  return { points, errors };
+}
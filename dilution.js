@@ -0,0 +1,103 @@
+/*
+  Preparing calibration standards on the bench (no DOM access).
+  Standards are made from a stock solution with a one-mark pipette and volumetric
+  flasks, either by serial dilution (each standard from the one before) or by
+  parallel dilution (each from the stock, with 1, 2, … aliquots of the pipette).
+  Every delivery and every fill to the mark is off by an amount drawn uniformly
+  within the glassware's tolerance, so actual concentrations differ from nominal.
+  The expected spread follows the GUM rule for products and quotients, taking a
+  tolerance ±a as a rectangular distribution with u = a/√3.
+*/
+
+// Tolerances (± mL) of class A glassware: one-mark pipettes (ISO 648) and
+// volumetric flasks (ISO 1042). Class B tolerances are twice as wide.
+export const PIPETTES = { 1: 0.008, 2: 0.010, 5: 0.015, 10: 0.020, 20: 0.030, 25: 0.030 };
+export const FLASKS = { 10: 0.025, 25: 0.04, 50: 0.06, 100: 0.10, 250: 0.15 };
+export const GLASSWARE_CLASSES = { A: 1, B: 2 };
+
+export const DILUTION_METHODS = {
+  serial:   'Serial (each standard from the previous one)',
+  parallel: 'Parallel (each standard from the stock)'
+};
+
+export const DEFAULT_PLAN = {
+  method: 'serial', stockMm: 1, count: 5,
+  pipetteMl: 5, pipetteClass: 'A', flaskMl: 10, flaskClass: 'A'
+};
+
+const MAX_STANDARDS = 10;
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+export function tolerance(table, volumeMl, glassClass) {
+  return table[volumeMl] * GLASSWARE_CLASSES[glassClass];
+}
+
+// Everything wrong with a plan, as messages (empty when it can be made)
+export function planErrors(plan) {
+  const errors = [];
+  if (!plan || typeof plan !== 'object') return ['the plan must be an object'];
+  const { method, stockMm, count, pipetteMl, pipetteClass, flaskMl, flaskClass } = plan;
+  if (!Object.hasOwn(DILUTION_METHODS, method)) errors.push(`method must be ${Object.keys(DILUTION_METHODS).join(' or ')}`);
+  if (!(isNum(stockMm) && stockMm > 0)) errors.push('the stock concentration must be above 0 mM');
+  if (!(Number.isInteger(count) && count >= 2 && count <= MAX_STANDARDS)) errors.push(`make from 2 to ${MAX_STANDARDS} standards`);
+  if (!Object.hasOwn(PIPETTES, pipetteMl)) errors.push(`pipettes come in ${Object.keys(PIPETTES).join(', ')} mL`);
+  if (!Object.hasOwn(FLASKS, flaskMl)) errors.push(`flasks come in ${Object.keys(FLASKS).join(', ')} mL`);
+  if (!Object.hasOwn(GLASSWARE_CLASSES, pipetteClass) || !Object.hasOwn(GLASSWARE_CLASSES, flaskClass)) {
+    errors.push('glassware class must be A or B');
+  }
+  if (errors.length) return errors;
+  if (method === 'serial' && pipetteMl >= flaskMl) errors.push('for a serial dilution the pipette must be smaller than the flask');
+  if (method === 'parallel' && count * pipetteMl > flaskMl) {
+    errors.push(`${count} aliquots of ${pipetteMl} mL do not fit in a ${flaskMl} mL flask`);
+  }
+  return errors;
+}
+
+// Volume actually delivered or made up: nominal ± a uniform error within the tolerance
+function drawVolume(volumeMl, tol, rng) {
+  return volumeMl + (2 * rng() - 1) * tol;
+}
+
+// Make the standards of a plan. Each has its nominal and actual concentration,
+// the standard uncertainty expected from the glassware, and how it was made.
+// Throws an Error listing every problem with the plan.
+export function prepareStandards(plan, rng = Math.random) {
+  const errors = planErrors(plan);
+  if (errors.length) throw new Error(errors.join('; '));
+  const { method, stockMm, count, pipetteMl, pipetteClass, flaskMl, flaskClass } = plan;
+  const tolPipette = tolerance(PIPETTES, pipetteMl, pipetteClass);
+  const tolFlask = tolerance(FLASKS, flaskMl, flaskClass);
+  // Relative standard uncertainty of one delivery and of one flask
+  const uPipette = tolPipette / Math.sqrt(3) / pipetteMl;
+  const uFlask = tolFlask / Math.sqrt(3) / flaskMl;
+
+  const standards = [];
+  let nominal = stockMm;
+  let actual = stockMm;
+  for (let k = 1; k <= count; k++) {
+    let uRel, steps;
+    if (method === 'serial') {
+      // Errors compound: S_k carries every transfer before it
+      nominal *= pipetteMl / flaskMl;
+      actual *= drawVolume(pipetteMl, tolPipette, rng) / drawVolume(flaskMl, tolFlask, rng);
+      uRel = Math.sqrt(k * (uPipette ** 2 + uFlask ** 2));
+      steps = `${pipetteMl} mL of ${k === 1 ? 'stock' : `S${k - 1}`} made up to ${flaskMl} mL`;
+    } else {
+      // k independent deliveries: u(V)/V = u_pipette/√k
+      let delivered = 0;
+      for (let i = 0; i < k; i++) delivered += drawVolume(pipetteMl, tolPipette, rng);
+      nominal = stockMm * k * pipetteMl / flaskMl;
+      actual = stockMm * delivered / drawVolume(flaskMl, tolFlask, rng);
+      uRel = Math.sqrt(uPipette ** 2 / k + uFlask ** 2);
+      steps = `${k} × ${pipetteMl} mL of stock made up to ${flaskMl} mL`;
+    }
+    standards.push({ label: `S${k}`, nominal_mM: nominal, actual_mM: actual, u_mM: nominal * uRel, steps });
+  }
+  return standards;
+}
+
+// Plain-language summary of a plan
+export function describePlan({ method, stockMm, count, pipetteMl, pipetteClass, flaskMl, flaskClass }) {
+  return `${count} standards by ${method} dilution of a ${stockMm} mM stock, `
+    + `${pipetteMl} mL class ${pipetteClass} pipette, ${flaskMl} mL class ${flaskClass} flasks`;
+}
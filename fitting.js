@@ -0,0 +1,168 @@
+/*
+  Calibration fitting for the colorimeter simulator (no DOM access).
+  All models are (weighted) least squares on a design matrix, so parameter
+  standard errors and confidence bands come from one covariance matrix.
+*/
+
+import { NOISE_STD_A, solveLinearSystem } from './model.js';
+
+export const FIT_MODELS = {
+  linear:    { label: 'Linear (OLS)',        terms: ['b', 'm'] },
+  origin:    { label: 'Through origin',      terms: ['m'] },
+  weighted:  { label: 'Weighted (1/σ²)',     terms: ['b', 'm'] },
+  quadratic: { label: 'Quadratic',           terms: ['b', 'm', 'q'] }
+};
+
+// Two-sided 95% Student t critical values, t(0.975, dof)
+const T975 = [NaN, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+export function t975(dof) {
+  if (!(dof >= 1)) return NaN;
+  if (dof <= 30) return T975[Math.floor(dof)];
+  // Beyond the table t approaches 1.960 roughly linearly in 1/dof
+  return 1.960 + (2.042 - 1.960) * 30 / dof;
+}
+
+// Row of the design matrix for x: the powers of x each term multiplies
+function designRow(model, x) {
+  return FIT_MODELS[model].terms.map(t => (t === 'b' ? 1 : t === 'm' ? x : x * x));
+}
+
+function invertMatrix(M) {
+  const n = M.length;
+  const cols = [];
+  for (let j = 0; j < n; j++) {
+    const e = Array.from({ length: n }, (_, i) => (i === j ? 1 : 0));
+    const col = solveLinearSystem(M, e);
+    if (!col) return null;
+    cols.push(col);
+  }
+  return M.map((_, i) => cols.map(col => col[i]));
+}
+
+// Per-point σ(A) for weighting: the spread of replicates at the same x where there
+// are any, otherwise an instrument model with a noise floor plus 1% of the reading.
+export function estimateSigmas(points) {
+  const byX = new Map();
+  for (const p of points) {
+    const key = p.x.toFixed(6);
+    if (!byX.has(key)) byX.set(key, []);
+    byX.get(key).push(p.y);
+  }
+  return points.map(p => {
+    const reps = byX.get(p.x.toFixed(6));
+    const model = Math.hypot(NOISE_STD_A, 0.01 * p.y);
+    if (reps.length < 2) return model;
+    const mean = reps.reduce((s, y) => s + y, 0) / reps.length;
+    const sd = Math.sqrt(reps.reduce((s, y) => s + (y - mean) ** 2, 0) / (reps.length - 1));
+    return Math.max(sd, model / 4);
+  });
+}
+
+// Fit points {x, y} with one of FIT_MODELS. Returns null when there are too few
+// points or the design is singular. The result carries:
+//   params / se      fitted coefficients {b, m, q} and their standard errors
+//   predict(x)       fitted y;  band(x) half-width of the 95% confidence band
+//   meanVariance(x)  variance of the fitted y at x
+//   inverse(y)       x on the fitted curve for a reading y
+//   residuals, r2, syx (residual standard deviation), dof, t
+export function fitCalibration(points, model = 'linear', { sigmas } = {}) {
+  const terms = FIT_MODELS[model].terms;
+  const n = points.length;
+  const p = terms.length;
+  if (n < p || n < 2) return null;
+
+  const w = model === 'weighted'
+    ? (sigmas || estimateSigmas(points)).map(s => 1 / (s * s))
+    : points.map(() => 1);
+  const X = points.map(pt => designRow(model, pt.x));
+  const XtWX = terms.map((_, i) => terms.map((_, j) => X.reduce((s, row, r) => s + w[r] * row[i] * row[j], 0)));
+  const XtWy = terms.map((_, i) => X.reduce((s, row, r) => s + w[r] * row[i] * points[r].y, 0));
+  const beta = solveLinearSystem(XtWX, XtWy);
+  const inv = beta && invertMatrix(XtWX);
+  if (!beta || !inv) return null;
+
+  const params = { b: 0, m: 0, q: 0 };
+  terms.forEach((t, i) => { params[t] = beta[i]; });
+  const predict = (x) => params.b + params.m * x + params.q * x * x;
+
+  const residuals = points.map(pt => pt.y - predict(pt.x));
+  // With no degrees of freedom left the curve is exact but its uncertainty is unknown (NaN)
+  const dof = n - p;
+  const wSSres = residuals.reduce((s, r, i) => s + w[i] * r * r, 0);
+  const s2 = dof > 0 ? wSSres / dof : NaN;       // weighted residual variance
+  const cov = inv.map(row => row.map(v => v * s2));
+  const se = { b: 0, m: 0, q: 0 };
+  terms.forEach((t, i) => { se[t] = Math.sqrt(cov[i][i]); });
+
+  const sumW = w.reduce((s, v) => s + v, 0);
+  const yMean = points.reduce((s, pt, i) => s + w[i] * pt.y, 0) / sumW;
+  const SStot = points.reduce((s, pt, i) => s + w[i] * (pt.y - yMean) ** 2, 0);
+  const r2 = SStot > 0 ? 1 - wSSres / SStot : 0;
+  const syx = dof > 0 ? Math.sqrt(residuals.reduce((s, r) => s + r * r, 0) / dof) : NaN;
+  const t = t975(dof);
+
+  // Variance of the fitted mean response at x, x₀ᵀ Cov x₀
+  const meanVariance = (x) => {
+    const row = designRow(model, x);
+    let v = 0;
+    for (let i = 0; i < p; i++) for (let j = 0; j < p; j++) v += row[i] * cov[i][j] * row[j];
+    return v;
+  };
+  const band = (x) => t * Math.sqrt(meanVariance(x));
+
+  const xs = points.map(pt => pt.x);
+  const xLo = Math.min(...xs), xHi = Math.max(...xs);
+  const inverse = (y) => {
+    if (params.q === 0) return params.m !== 0 ? (y - params.b) / params.m : 0;
+    // Quadratic: take the root nearest the calibrated range
+    const disc = params.m * params.m - 4 * params.q * (params.b - y);
+    if (disc < 0) return -params.m / (2 * params.q);
+    const r1 = (-params.m + Math.sqrt(disc)) / (2 * params.q);
+    const r2_ = (-params.m - Math.sqrt(disc)) / (2 * params.q);
+    const dist = (x) => (x < xLo ? xLo - x : x > xHi ? x - xHi : 0);
+    return dist(r1) <= dist(r2_) ? r1 : r2_;
+  };
+
+  return { model, params, se, predict, band, meanVariance, inverse, residuals, r2, syx, dof, t, n, cov, xRange: [xLo, xHi] };
+}
+
+// Inverse prediction: x₀ read off the fit from k replicate readings of an unknown,
+// with its 95% confidence interval. For a straight line this is the textbook
+//   s(x₀) = (s(y/x) / |m|) · √(1/k + 1/n + (ȳ₀ − ȳ)² / (m² Σ(xᵢ − x̄)²))
+// and other models propagate the same two variances through the local slope.
+// Returns yCi, the half-width of the interval on the mean reading, for plotting.
+export function inversePrediction(fit, readings) {
+  const k = readings.length;
+  if (!fit || k === 0) return null;
+  const yMean = readings.reduce((s, y) => s + y, 0) / k;
+  const x0 = fit.inverse(yMean);
+  const slope = fit.params.m + 2 * fit.params.q * x0;
+  const se = Math.sqrt(fit.syx * fit.syx / k + fit.meanVariance(x0)) / Math.abs(slope);
+  const outOfRange = x0 < fit.xRange[0] || x0 > fit.xRange[1];
+  return { x0, se, ci: fit.t * se, yMean, yCi: fit.t * fit.syx / Math.sqrt(k), k, outOfRange };
+}
+
+// Limits of detection and quantitation, LOD = 3.3 σ / S and LOQ = 10 σ / S, with S
+// the slope at zero. σ is the standard deviation of replicate blanks (x = 0) when
+// there are at least three, else the intercept's standard error, else s(y/x) for
+// fits forced through the origin.
+export function detectionLimits(fit, points) {
+  if (!fit || !(fit.params.m > 0)) return null;
+  const blanks = points.filter(pt => pt.x === 0).map(pt => pt.y);
+  let sigma, basis;
+  if (blanks.length >= 3) {
+    const mean = blanks.reduce((s, y) => s + y, 0) / blanks.length;
+    sigma = Math.sqrt(blanks.reduce((s, y) => s + (y - mean) ** 2, 0) / (blanks.length - 1));
+    basis = `SD of ${blanks.length} blanks`;
+  } else if (fit.model !== 'origin') {
+    sigma = fit.se.b;
+    basis = 'SE of intercept';
+  } else {
+    sigma = fit.syx;
+    basis = 's(y/x)';
+  }
+  return { lod: 3.3 * sigma / fit.params.m, loq: 10 * sigma / fit.params.m, sigma, basis };
+}
@@ -0,0 +1,86 @@
+/*
+  Reaction kinetics from absorbance readings (no DOM access).
+  Each integrated rate law has a linear form, y(A) = y₀ ± k·t, fitted by least
+  squares. A ∝ c, so the order found from A(t) is the order in concentration;
+  k for zero and second order is reported per absorbance unit.
+*/
+
+import { GAS_CONSTANT } from './model.js';
+import { fitCalibration } from './fitting.js';
+
+export const RATE_LAWS = {
+  zero: {
+    label: 'Zero order',
+    linearForm: 'A vs t',
+    kUnit: 'A·min⁻¹',
+    transform: (A) => A,
+    sign: -1,
+    initial: (b) => b,
+    predict: (A0, k, t) => Math.max(A0 - k * t, 0),
+    halfLife: (A0, k) => A0 / (2 * k)
+  },
+  first: {
+    label: 'First order',
+    linearForm: 'ln A vs t',
+    kUnit: 'min⁻¹',
+    transform: (A) => Math.log(A),
+    sign: -1,
+    initial: (b) => Math.exp(b),
+    predict: (A0, k, t) => A0 * Math.exp(-k * t),
+    halfLife: (A0, k) => Math.LN2 / k
+  },
+  second: {
+    label: 'Second order',
+    linearForm: '1/A vs t',
+    kUnit: 'A⁻¹·min⁻¹',
+    transform: (A) => 1 / A,
+    sign: 1,
+    initial: (b) => 1 / b,
+    predict: (A0, k, t) => 1 / (1 / A0 + k * t),
+    halfLife: (A0, k) => 1 / (k * A0)
+  }
+};
+
+// Fit readings [{ t_min, A }] with one rate law. Readings with A ≤ 0 cannot be
+// linearised for first and second order and are left out (counted in `excluded`).
+// R² is that of the linear form; rmse is in absorbance for every law, so it is the
+// figure to compare between them. Returns null with fewer than three usable points.
+export function fitRateLaw(readings, order) {
+  const law = RATE_LAWS[order];
+  const usable = order === 'zero' ? readings : readings.filter(p => p.A > 0);
+  if (usable.length < 3) return null;
+  const fit = fitCalibration(usable.map(p => ({ x: p.t_min, y: law.transform(p.A) })), 'linear');
+  if (!fit) return null;
+  const k = law.sign * fit.params.m;
+  const A0 = law.initial(fit.params.b);
+  const predict = (t) => law.predict(A0, k, t);
+  const rmse = Math.sqrt(usable.reduce((s, p) => s + (p.A - predict(p.t_min)) ** 2, 0) / usable.length);
+  return {
+    order, k, seK: fit.se.m, A0, halfLife: k > 0 ? law.halfLife(A0, k) : NaN,
+    r2: fit.r2, rmse, n: usable.length, excluded: readings.length - usable.length, predict
+  };
+}
+
+export function fitKinetics(readings) {
+  return Object.fromEntries(Object.keys(RATE_LAWS).map(order => [order, fitRateLaw(readings, order)]));
+}
+
+// Arrhenius analysis of rate constants from runs at different temperatures:
+// ln k = ln A − Eₐ/(R T), a straight line in 1/T. runs: [{ temperatureC, k }] with
+// k > 0; needs at least two temperatures. Eₐ in kJ/mol with its standard error.
+export function arrheniusFit(runs) {
+  const usable = runs.filter(r => r.k > 0 && Number.isFinite(r.temperatureC));
+  if (new Set(usable.map(r => r.temperatureC)).size < 2) return null;
+  const points = usable.map(r => ({ x: 1 / (r.temperatureC + 273.15), y: Math.log(r.k) }));
+  const fit = fitCalibration(points, 'linear');
+  if (!fit) return null;
+  return {
+    Ea: -fit.params.m * GAS_CONSTANT / 1000,
+    seEa: fit.se.m * GAS_CONSTANT / 1000,
+    lnA: fit.params.b,
+    r2: fit.r2,
+    n: usable.length,
+    points,
+    predict: fit.predict
+  };
+}
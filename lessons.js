@@ -0,0 +1,302 @@
+/*
+  Guided lessons for the colorimeter simulator (no DOM access).
+  A lesson is a JSON script of steps. Each step has an instruction, a completion
+  condition, optional hints and a points value. The app hands in a snapshot of its
+  state after every change; a step is complete once its condition holds. Hints and
+  failed attempts (e.g. an unknown estimated outside the tolerance) cost points.
+*/
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// Defaults for the lesson-level scoring fields
+const STEP_POINTS = 10;
+const HINT_PENALTY = 2;
+const FAILURE_PENALTY = 3;
+
+// Condition type → { args: name → check, describe(args), check(args, state, start) }.
+// state is the app snapshot (see README "Lessons"); start is the snapshot taken
+// when the step began, so a condition can ask for something done during the step.
+// check returns { done, detail, failures? }.
+export const CONDITIONS = {
+  wavelengthNear: {
+    args: { target: (v) => v === 'lambdaMax' || (isNum(v) && v >= 380 && v <= 700), tolerance: (v) => isNum(v) && v >= 0 },
+    describe: ({ target = 'lambdaMax', tolerance = 5 }) => `λ within ${tolerance} nm of ${target === 'lambdaMax' ? 'λmax' : `${target} nm`}`,
+    check: ({ target = 'lambdaMax', tolerance = 5 }, state) => {
+      const goal = target === 'lambdaMax' ? state.lambdaMax : target;
+      return { done: Math.abs(state.wavelength - goal) <= tolerance, detail: `λ is ${state.wavelength} nm` };
+    }
+  },
+  zeroed: {
+    args: { maxAgeMin: (v) => isNum(v) && v > 0 },
+    describe: ({ maxAgeMin = 5 }) => `instrument zeroed within the last ${maxAgeMin} min`,
+    check: ({ maxAgeMin = 5 }, state) => ({
+      done: state.blankAgeMin !== null && state.blankAgeMin <= maxAgeMin,
+      detail: state.blankAgeMin === null ? 'not zeroed yet' : `zeroed ${state.blankAgeMin.toFixed(1)} min ago`
+    })
+  },
+  scanDone: {
+    args: { tolerance: (v) => isNum(v) && v > 0 },
+    describe: ({ tolerance = 10 }) => `a wavelength scan that finds λmax within ${tolerance} nm`,
+    check: ({ tolerance = 10 }, state) => {
+      if (state.scanLambdaMax === null) return { done: false, detail: 'no completed scan yet' };
+      const done = Math.abs(state.scanLambdaMax - state.lambdaMax) <= tolerance;
+      return { done, detail: done ? `scan λmax ${state.scanLambdaMax.toFixed(1)} nm` : 'the last scan missed the peak: widen the range or use a finer step' };
+    }
+  },
+  calibration: {
+    args: { minPoints: (v) => Number.isInteger(v) && v >= 2, minR2: (v) => isNum(v) && v >= 0 && v <= 1 },
+    describe: ({ minPoints = 6, minR2 = 0.99 }) => `at least ${minPoints} calibration points with R² > ${minR2}`,
+    check: ({ minPoints = 6, minR2 = 0.99 }, state) => {
+      const { n, r2 } = state.calibration;
+      return {
+        done: n >= minPoints && isNum(r2) && r2 > minR2,
+        detail: `${n} of ${minPoints} points at this λ` + (isNum(r2) ? ` · R² = ${r2.toFixed(4)}` : '')
+      };
+    }
+  },
+  setting: {
+    args: {
+      name: (v) => ['pigment', 'pathLength', 'noise', 'fitModel'].includes(v),
+      value: (v) => v !== undefined
+    },
+    required: ['name', 'value'],
+    describe: ({ name, value }) => `${name} set to ${value}`,
+    check: ({ name, value }, state) => ({ done: state[name] === value, detail: `${name} is ${state[name]}` })
+  },
+  unknownWithin: {
+    args: { maxErrorPct: (v) => isNum(v) && v > 0 },
+    describe: ({ maxErrorPct = 5 }) => `an unknown estimated within ${maxErrorPct}%`,
+    check: ({ maxErrorPct = 5 }, state, start) => {
+      const attempts = state.unknownResults.slice(start.unknownResults.length);
+      const hit = attempts.findIndex(r => Math.abs(r.errorPct) <= maxErrorPct);
+      const failures = hit >= 0 ? hit : attempts.length;
+      const last = attempts[attempts.length - 1];
+      return {
+        done: hit >= 0,
+        failures,
+        detail: last ? `last estimate off by ${Math.abs(last.errorPct).toFixed(1)}%` : 'no unknown submitted yet'
+      };
+    }
+  },
+  all: {
+    args: { conditions: (v) => Array.isArray(v) && v.length > 0 },
+    required: ['conditions'],
+    describe: ({ conditions }) => conditions.map(describeCondition).join(' and '),
+    check: ({ conditions }, state, start) => {
+      const results = conditions.map(c => checkCondition(c, state, start));
+      return {
+        done: results.every(r => r.done),
+        failures: results.reduce((s, r) => s + (r.failures || 0), 0),
+        detail: results.map(r => r.detail).join(' · ')
+      };
+    }
+  }
+};
+
+function splitCondition({ type, ...args }) {
+  return { def: CONDITIONS[type], args };
+}
+
+export function describeCondition(condition) {
+  const { def, args } = splitCondition(condition);
+  return def.describe(args);
+}
+
+export function checkCondition(condition, state, start) {
+  const { def, args } = splitCondition(condition);
+  return def.check(args, state, start);
+}
+
+// Problems with one condition, prefixed with where it sits in the lesson
+function conditionErrors(condition, where) {
+  if (!condition || typeof condition !== 'object') return [`${where}: the condition is missing`];
+  const def = CONDITIONS[condition.type];
+  if (!def) return [`${where}: unknown condition type "${condition.type}" (use ${Object.keys(CONDITIONS).join(', ')})`];
+  const errors = [];
+  for (const name of def.required || []) {
+    if (condition[name] === undefined) errors.push(`${where}: ${condition.type} needs "${name}"`);
+  }
+  for (const [name, value] of Object.entries(condition)) {
+    if (name === 'type' || value === undefined) continue;
+    if (!def.args[name]) errors.push(`${where}: ${condition.type} has no argument "${name}"`);
+    else if (!def.args[name](value)) errors.push(`${where}: ${condition.type} "${name}" has an invalid value ${JSON.stringify(value)}`);
+  }
+  if (condition.type === 'all' && Array.isArray(condition.conditions)) {
+    condition.conditions.forEach((c, i) => errors.push(...conditionErrors(c, `${where}, part ${i + 1}`)));
+  }
+  return errors;
+}
+
+// Parse and check a lesson (JSON text or an already parsed object). Throws an
+// Error listing every problem, so a teacher can fix a script in one pass.
+export function parseLesson(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error('the file is not valid JSON');
+    }
+  }
+  if (!data || typeof data !== 'object') throw new Error('a lesson must be a JSON object');
+  const errors = [];
+  if (typeof data.title !== 'string' || !data.title.trim()) errors.push('the lesson needs a "title"');
+  if (!Array.isArray(data.steps) || !data.steps.length) errors.push('the lesson needs a non-empty "steps" list');
+  for (const field of ['hintPenalty', 'failurePenalty']) {
+    if (data[field] !== undefined && !(isNum(data[field]) && data[field] >= 0)) errors.push(`"${field}" must be a number ≥ 0`);
+  }
+  (Array.isArray(data.steps) ? data.steps : []).forEach((step, i) => {
+    const where = `step ${i + 1}`;
+    if (!step || typeof step !== 'object') { errors.push(`${where}: not an object`); return; }
+    if (typeof step.instruction !== 'string' || !step.instruction.trim()) errors.push(`${where}: needs an "instruction"`);
+    if (step.hints !== undefined && !(Array.isArray(step.hints) && step.hints.every(h => typeof h === 'string'))) {
+      errors.push(`${where}: "hints" must be a list of strings`);
+    }
+    if (step.points !== undefined && !(isNum(step.points) && step.points >= 0)) errors.push(`${where}: "points" must be a number ≥ 0`);
+    errors.push(...conditionErrors(step.condition, where));
+  });
+  if (errors.length) throw new Error(errors.join('; '));
+  return {
+    id: typeof data.id === 'string' && data.id ? data.id : data.title.trim().toLowerCase().replace(/\W+/g, '-'),
+    title: data.title.trim(),
+    description: typeof data.description === 'string' ? data.description : '',
+    hintPenalty: data.hintPenalty ?? HINT_PENALTY,
+    failurePenalty: data.failurePenalty ?? FAILURE_PENALTY,
+    steps: data.steps.map(s => ({ instruction: s.instruction, condition: s.condition, hints: s.hints || [], points: s.points ?? STEP_POINTS }))
+  };
+}
+
+// --- Running a lesson ---
+// A run is mutable: { lesson, stepIndex, start, hintsShown, failures, scores, finished }
+
+export function startLesson(lesson, state) {
+  return { lesson, stepIndex: 0, start: state, hintsShown: 0, failures: 0, scores: [], finished: false };
+}
+
+export function currentStep(run) {
+  return run.finished ? null : run.lesson.steps[run.stepIndex];
+}
+
+export function maxScore(lesson) {
+  return lesson.steps.reduce((s, step) => s + step.points, 0);
+}
+
+export function totalScore(run) {
+  return run.scores.reduce((s, x) => s + x, 0);
+}
+
+function stepScore(run, step) {
+  const lost = run.hintsShown * run.lesson.hintPenalty + run.failures * run.lesson.failurePenalty;
+  return Math.max(0, step.points - lost);
+}
+
+// Next hint of the current step, or null when there are no more. Costs points.
+export function takeHint(run) {
+  const step = currentStep(run);
+  if (!step || run.hintsShown >= step.hints.length) return null;
+  return step.hints[run.hintsShown++];
+}
+
+// Check the current step against the state. Completed steps are scored and the
+// run moves on; a following step that already holds completes on the next check,
+// so every step is seen at least once. Returns { completed: { step, score } | null, detail }.
+export function checkLesson(run, state) {
+  const step = currentStep(run);
+  if (!step) return { completed: null, detail: '' };
+  const result = checkCondition(step.condition, state, run.start);
+  run.failures = result.failures || 0;
+  if (!result.done) return { completed: null, detail: result.detail };
+  const score = stepScore(run, step);
+  run.scores.push(score);
+  run.stepIndex++;
+  run.start = state;
+  run.hintsShown = 0;
+  run.failures = 0;
+  run.finished = run.stepIndex >= run.lesson.steps.length;
+  return { completed: { step, score }, detail: result.detail };
+}
+
+// --- Built-in lessons ---
+export const BUILT_IN_LESSONS = [
+  {
+    id: 'select-wavelength',
+    title: 'Selecting the wavelength',
+    description: 'Find the wavelength where the pigment absorbs most strongly, and see why it gives the most sensitive measurement.',
+    steps: [
+      {
+        instruction: 'Zero the instrument with the blank so every reading is relative to the solvent.',
+        condition: { type: 'zeroed', maxAgeMin: 5 },
+        hints: ['Use the "⓪ Zero with blank" button under the sliders.'],
+        points: 5
+      },
+      {
+        instruction: 'Open Advanced ▸ Spectrum and run a wavelength scan of the current sample from 400 to 680 nm.',
+        condition: { type: 'scanDone', tolerance: 10 },
+        hints: ['The scan steps λ across the range and reads A at each step.', 'A 10 nm step is enough to locate the peak; parabolic interpolation refines it.']
+      },
+      {
+        instruction: 'Set the wavelength to the λmax you found.',
+        condition: { type: 'wavelengthNear', target: 'lambdaMax', tolerance: 5 },
+        hints: ['"Set λ to λmax" under the scan result does this for you.', 'Betanin absorbs most strongly in the green, between 530 and 545 nm.']
+      }
+    ]
+  },
+  {
+    id: 'build-calibration',
+    title: 'Building a calibration',
+    description: 'Measure a series of standards at λmax and fit a straight line through them.',
+    steps: [
+      {
+        instruction: 'Set the wavelength to λmax of the selected pigment.',
+        condition: { type: 'wavelengthNear', target: 'lambdaMax', tolerance: 5 },
+        hints: ['A scan (Advanced ▸ Spectrum) finds λmax.', 'Betanin peaks near 538 nm.']
+      },
+      {
+        instruction: 'Zero the instrument with the blank.',
+        condition: { type: 'zeroed', maxAgeMin: 5 },
+        hints: ['Re-zero whenever the blank is older than 5 minutes: the lamp drifts.'],
+        points: 5
+      },
+      {
+        instruction: 'Measure at least six standards spread over the concentration range until the line has R² above 0.99.',
+        condition: { type: 'calibration', minPoints: 6, minR2: 0.99 },
+        hints: [
+          'Move the concentration slider, then press "Measure (add to calibration)" for each standard.',
+          'Spread the standards evenly; at high A stray light bends the line, so keep A below about 1.5.',
+          'Betanin reads about 0.6 A per 0.01 mM in the 1 cm cuvette: choose the 0.1 cm cuvette, then standards up to 0.25 mM stay below A = 1.5.',
+          'If one point looks wrong, click it to leave it out of the fit and note why in the measurement log, or undo it and measure again after re-zeroing.'
+        ],
+        points: 20
+      }
+    ]
+  },
+  {
+    id: 'determine-unknown',
+    title: 'Determining an unknown',
+    description: 'Use your calibration to find the concentration of a hidden sample. Each estimate outside 5% costs points.',
+    steps: [
+      {
+        instruction: 'Build a calibration at λmax with at least five points and R² above 0.99.',
+        condition: {
+          type: 'all',
+          conditions: [
+            { type: 'wavelengthNear', target: 'lambdaMax', tolerance: 5 },
+            { type: 'calibration', minPoints: 5, minR2: 0.99 }
+          ]
+        },
+        hints: ['Zero with the blank, then measure standards across the slider range.', 'Work at λmax for the best sensitivity.'],
+        points: 15
+      },
+      {
+        instruction: 'Open "❓ Unknown sample", take replicate readings, dilute if A is off the calibration, and submit an estimate within 5% of the true value.',
+        condition: { type: 'unknownWithin', maxErrorPct: 5 },
+        hints: [
+          'Average three or more replicate readings to beat the noise.',
+          'If the reading is above your highest standard, set a dilution factor and read again.',
+          'Do not change λ or the cuvette between calibrating and reading the unknown.'
+        ],
+        points: 25
+      }
+    ]
+  }
+].map(parseLesson);
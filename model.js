@@ -0,0 +1,387 @@
+/*
+  Beer–Lambert model for the colorimeter simulator (no DOM access).
+  A = ε(λ) * c * l
+  Units: ε in L/(mol·cm), c in mol/L, l in cm
+  Concentrations are passed in mM (as on the UI sliders) and converted to M here.
+*/
+
+// --- Parameters for betalain spectrum (representative, not exact) ---
+export const LAMBDA_PEAK_NM = 538;         // peak wavelength in nm
+export const EPSILON_MAX = 60000;          // peak molar absorptivity [L/(mol·cm)]
+export const SPECTRUM_SIGMA_NM = 35;       // spectral width (standard deviation)
+export const BASELINE_EPSILON = 150;       // small baseline
+
+// Instrument/noise parameters
+export const NOISE_STD_A = 0.005;          // absorbance noise std dev
+
+// --- Pigment library ---
+// Each species has an ε(λ) profile built from one or more Gaussian bands plus a
+// small baseline. Values are representative of beet extract, not exact.
+export const DEFAULT_PIGMENT = 'betanin';
+export const PIGMENTS = {
+  betanin: {
+    name: 'Betanin (betacyanin)',
+    color: '#ad1457',
+    molarMass: 550.5,     // g/mol, C24H26N2O13
+    baseline: BASELINE_EPSILON,
+    bands: [{ peakNm: LAMBDA_PEAK_NM, epsilonMax: EPSILON_MAX, sigmaNm: SPECTRUM_SIGMA_NM }]
+  },
+  vulgaxanthin: {
+    name: 'Vulgaxanthin I (betaxanthin)',
+    color: '#f9a825',
+    molarMass: 339.3,     // C14H17N3O6
+    baseline: 100,
+    bands: [
+      { peakNm: 480, epsilonMax: 48000, sigmaNm: 28 },
+      { peakNm: 455, epsilonMax: 9000, sigmaNm: 18 }    // short-wavelength shoulder
+    ]
+  },
+  neobetanin: {
+    name: 'Neobetanin (degradation product)',
+    color: '#ef6c00',
+    molarMass: 548.5,     // C24H24N2O13
+    baseline: 80,
+    bands: [
+      { peakNm: 470, epsilonMax: 18000, sigmaNm: 32 },
+      { peakNm: 420, epsilonMax: 6000, sigmaNm: 25 }
+    ]
+  }
+};
+
+export function pigmentIds() {
+  return Object.keys(PIGMENTS);
+}
+
+// The library as shipped, so configured overrides can be undone
+const PIGMENT_DEFAULTS = JSON.stringify(PIGMENTS);
+
+// Replace the spectral parameters of existing pigments, e.g. from a teacher config:
+// { betanin: { baseline, molarMass, bands: [{ peakNm, epsilonMax, sigmaNm }] } }.
+// Pigments and fields not given go back to their defaults. The objects are updated
+// in place so every module importing PIGMENTS sees the change.
+export function configurePigments(overrides = {}) {
+  for (const [id, defaults] of Object.entries(JSON.parse(PIGMENT_DEFAULTS))) {
+    Object.assign(PIGMENTS[id], defaults, JSON.parse(JSON.stringify(overrides[id] || {})));
+  }
+}
+
+// --- Spectrum and Beer–Lambert ---
+export function gaussian(x, mu, sigma) {
+  const a = (x - mu) / sigma;
+  return Math.exp(-0.5 * a * a);
+}
+
+// --- pH and temperature ---
+// Betalains keep their colour between pH 3 and 7. Outside that window the bands
+// move (to shorter λ in acid, longer λ in alkali) and weaken, and the pigment
+// degrades faster, as it does when heated.
+export const REFERENCE_PH = 5;
+export const REFERENCE_TEMP_C = 25;
+export const GAS_CONSTANT = 8.314;          // J/(mol·K)
+export const PH_SPECTRUM = {
+  stableMin: 3, stableMax: 7,
+  acidShiftNm: 2,            // hypsochromic shift per pH unit below 3
+  alkalineShiftNm: 4,        // bathochromic shift per pH unit above 7
+  epsilonLossPerUnit: 0.1,   // fraction of ε lost per pH unit outside the window
+  epsilonFloor: 0.4
+};
+export const DEGRADATION = {
+  activationEnergyKJ: 80,    // Arrhenius Eₐ of thermal degradation
+  pHOptimum: 5,              // most stable pH
+  pHWidth: 2                 // rate doubles this far from the optimum, then climbs steeply
+};
+
+// Peak shift (nm) and ε scale factor at a given pH
+export function pHSpectrumEffect(pH, ph = PH_SPECTRUM) {
+  const below = Math.max(0, ph.stableMin - pH);
+  const above = Math.max(0, pH - ph.stableMax);
+  return {
+    shiftNm: above * ph.alkalineShiftNm - below * ph.acidShiftNm,
+    epsilonScale: Math.max(ph.epsilonFloor, 1 - ph.epsilonLossPerUnit * (below + above))
+  };
+}
+
+// First-order degradation rate constant (1/min) from the rate kRef at 25 °C and
+// pH 5: Arrhenius in temperature times a pH factor 1 + ((pH − pH₀)/w)⁴
+export function degradationRate(kRef, { temperatureC = REFERENCE_TEMP_C, pH = REFERENCE_PH } = {}, deg = DEGRADATION) {
+  const T = temperatureC + 273.15;
+  const Tref = REFERENCE_TEMP_C + 273.15;
+  const arrhenius = Math.exp(-deg.activationEnergyKJ * 1000 / GAS_CONSTANT * (1 / T - 1 / Tref));
+  const pHFactor = 1 + ((pH - deg.pHOptimum) / deg.pHWidth) ** 4;
+  return kRef * arrhenius * pHFactor;
+}
+
+export function epsilonAt(lambdaNm, pigmentId = DEFAULT_PIGMENT, pH = REFERENCE_PH) {
+  const pigment = PIGMENTS[pigmentId];
+  if (!pigment) throw new Error(`Unknown pigment: ${pigmentId}`);
+  const { shiftNm, epsilonScale } = pHSpectrumEffect(pH);
+  // Sum of Gaussian bands + baseline
+  let eps = pigment.baseline;
+  for (const band of pigment.bands) eps += band.epsilonMax * epsilonScale * gaussian(lambdaNm, band.peakNm + shiftNm, band.sigmaNm);
+  return eps;
+}
+
+// Wavelength of the highest ε over the instrument range, to the nearest nm
+export function peakWavelength(pigmentId = DEFAULT_PIGMENT, pH = REFERENCE_PH) {
+  let best = 380;
+  for (let lam = 381; lam <= 700; lam++) {
+    if (epsilonAt(lam, pigmentId, pH) > epsilonAt(best, pigmentId, pH)) best = lam;
+  }
+  return best;
+}
+
+export function mMToM(c_mM) {
+  return c_mM / 1000;
+}
+
+// A sample is either a single concentration (mM of the default pigment) or a
+// mixture object mapping pigment id -> concentration in mM.
+export function toMixture(sample) {
+  return typeof sample === 'number' ? { [DEFAULT_PIGMENT]: sample } : sample;
+}
+
+// Absorbance of each component separately, { pigmentId: A }
+export function componentAbsorbances(lambdaNm, sample, l_cm, pH = REFERENCE_PH) {
+  const out = {};
+  for (const [id, c_mM] of Object.entries(toMixture(sample))) {
+    out[id] = epsilonAt(lambdaNm, id, pH) * mMToM(c_mM) * l_cm;
+  }
+  return out;
+}
+
+// Absorbances are additive: A = l · Σ ε_i(λ) c_i
+export function absorbance(lambdaNm, sample, l_cm, pH = REFERENCE_PH) {
+  let A = 0;
+  for (const Ai of Object.values(componentAbsorbances(lambdaNm, sample, l_cm, pH))) A += Ai;
+  return A;
+}
+
+export function transmittanceFromA(A) {
+  // T = 10^{-A}
+  return Math.pow(10, -A);
+}
+
+// --- Optical non-idealities ---
+// Real instruments are not monochromatic and let some light bypass the sample.
+// strayLight: fraction of the reference intensity reaching the detector unabsorbed.
+// bandwidthNm: FWHM of the source (LED/monochromator) emission, Gaussian in shape.
+export const IDEAL_OPTICS = { strayLight: 0, bandwidthNm: 0 };
+
+// Fixed-wavelength sources of a filter-free school colorimeter: peak and FWHM of
+// each LED's emission (typical datasheet values), and the colour it glows
+export const DEFAULT_LED = 'green';
+export const LEDS = {
+  blue:   { label: 'Blue',   peakNm: 470, fwhmNm: 25, color: '#2962ff' },
+  green:  { label: 'Green',  peakNm: 525, fwhmNm: 35, color: '#00c853' },
+  yellow: { label: 'Yellow', peakNm: 590, fwhmNm: 15, color: '#ffab00' },
+  red:    { label: 'Red',    peakNm: 635, fwhmNm: 20, color: '#d50000' }
+};
+
+// Transmittance averaged over the source profile centred on λ
+export function bandTransmittance(lambdaNm, sample, l_cm, bandwidthNm, pH = REFERENCE_PH) {
+  if (!(bandwidthNm > 0)) return transmittanceFromA(absorbance(lambdaNm, sample, l_cm, pH));
+  const sigma = bandwidthNm / 2.3548;
+  const half = 3 * sigma;
+  const steps = 40;
+  let sumW = 0, sumWT = 0;
+  for (let i = 0; i <= steps; i++) {
+    const lam = lambdaNm - half + (2 * half * i) / steps;
+    const w = gaussian(lam, lambdaNm, sigma);
+    sumW += w;
+    sumWT += w * transmittanceFromA(absorbance(lam, sample, l_cm, pH));
+  }
+  return sumWT / sumW;
+}
+
+// Absorbance the instrument reports: A = -log10((T_band + s) / (1 + s)).
+// Stray light caps A near -log10(s) and bandwidth flattens steep band flanks,
+// so calibrations bend away from Beer–Lambert at high absorbance.
+export function effectiveAbsorbance(lambdaNm, sample, l_cm, optics = IDEAL_OPTICS, pH = REFERENCE_PH) {
+  const { strayLight = 0, bandwidthNm = 0 } = optics;
+  if (strayLight <= 0 && !(bandwidthNm > 0)) return absorbance(lambdaNm, sample, l_cm, pH);
+  const T = bandTransmittance(lambdaNm, sample, l_cm, bandwidthNm, pH);
+  return -Math.log10((T + strayLight) / (1 + strayLight));
+}
+
+// --- Source intensity (single-beam lamp) ---
+// I₀ relative to a fully warmed-up lamp at switch-on: it climbs through a warm-up,
+// then fades slowly and wanders a little. Times in minutes since switch-on.
+export const LAMP = {
+  warmupDeficit: 0.12,     // I₀ at switch-on is 12% low
+  warmupTauMin: 2,         // warm-up time constant
+  driftPerMin: 0.004,      // slow fade after warm-up (0.4% per minute)
+  wanderAmp: 0.006,        // slow ±0.6% wander
+  wanderPeriodMin: 5
+};
+
+export function lampIntensity(t_min, lamp = LAMP) {
+  const warm = 1 - lamp.warmupDeficit * Math.exp(-t_min / lamp.warmupTauMin);
+  const fade = Math.max(0.5, 1 - lamp.driftPerMin * t_min);
+  const wander = 1 + lamp.wanderAmp * Math.sin(2 * Math.PI * t_min / lamp.wanderPeriodMin);
+  return warm * fade * wander;
+}
+
+// --- Random numbers ---
+// Seedable PRNG (mulberry32). Returns a function yielding floats in [0, 1),
+// a drop-in replacement for Math.random when results must be reproducible.
+export function createRng(seed) {
+  let s = seed >>> 0;
+  return function rng() {
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randn(rng = Math.random) { // Box-Muller
+  let u = 0, v = 0;
+  while (u === 0) u = rng();
+  while (v === 0) v = rng();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+// --- Measurement ---
+// One instrument reading: absorbance through the given optics plus optional
+// Gaussian noise (SD noiseSd), floored at 0. A single-beam instrument reports
+// A = -log10(I / I_ref) with I = I₀ · T, so unless the reference I_ref was taken
+// with the same lamp intensity I₀ the reading is offset by -log10(I₀ / I_ref).
+export function measureAbsorbance(lambdaNm, sample, l_cm, { noise = true, noiseSd = NOISE_STD_A, rng = Math.random, optics = IDEAL_OPTICS, I0 = 1, Iref = 1, pH = REFERENCE_PH } = {}) {
+  const Atrue = effectiveAbsorbance(lambdaNm, sample, l_cm, optics, pH) - Math.log10(I0 / Iref);
+  return Math.max(0, noise ? Atrue + randn(rng) * noiseSd : Atrue);
+}
+
+// Evenly spaced standards from 0 to cMax (inclusive)
+export function calibrationTargets(cMax, steps) {
+  return Array.from({ length: steps }, (_, i) => +(cMax * i / (steps - 1)).toFixed(3));
+}
+
+// Measure every concentration in turn; with a seeded rng the result is reproducible.
+export function simulateCalibration(lambdaNm, concentrations, l_cm, options = {}) {
+  return concentrations.map(c_mM => ({ c_mM, A: measureAbsorbance(lambdaNm, c_mM, l_cm, options) }));
+}
+
+// --- Membrane permeability practical ---
+// Beet discs are incubated (heated, or soaked in ethanol) and then left in water;
+// betalain leaks out through damaged membranes. Damage follows a sigmoid in the
+// treatment level. Pigment reaches the water with time constant incubationTauMin.
+// Discs differ in pigment content and in how tolerant their membranes are.
+export const MEMBRANE = {
+  extractMaxBetanin_mM: 0.015,   // a disc's entire betanin dissolved in the bathing water
+  vulgaxanthinRatio: 0.4,        // beet extract also carries yellow betaxanthin
+  baselineLeak: 0.04,            // cut cells at the disc surface leak regardless
+  incubationTauMin: 8,
+  contentCV: 0.15,               // disc-to-disc spread in pigment content
+  conditions: {
+    temperature: { label: 'Temperature', unit: '°C', min: 0, max: 90, midpoint: 58, width: 4, midpointSD: 2 },
+    ethanol:     { label: 'Ethanol', unit: '% v/v', min: 0, max: 100, midpoint: 35, width: 7, midpointSD: 3 }
+  }
+};
+
+// Fraction of the disc's pigment in the extract (no biological variation)
+export function leakageFraction(condition, level, incubationMin, midpointShift = 0, membrane = MEMBRANE) {
+  const cond = membrane.conditions[condition];
+  if (!cond) throw new Error(`Unknown condition: ${condition}`);
+  const damage = 1 / (1 + Math.exp(-(level - cond.midpoint - midpointShift) / cond.width));
+  const released = membrane.baselineLeak + (1 - membrane.baselineLeak) * damage;
+  return released * (1 - Math.exp(-incubationMin / membrane.incubationTauMin));
+}
+
+// One disc's extract: { leakage, sample } where sample is a pigment mixture in mM
+export function simulateDiscExtract(condition, level, incubationMin, rng = Math.random, membrane = MEMBRANE) {
+  const shift = randn(rng) * membrane.conditions[condition].midpointSD;
+  const cv = membrane.contentCV;
+  const content = Math.exp(randn(rng) * cv - cv * cv / 2);   // log-normal, mean 1
+  const leakage = leakageFraction(condition, level, incubationMin, shift, membrane);
+  const betanin = membrane.extractMaxBetanin_mM * content * leakage;
+  return { leakage, sample: { betanin, vulgaxanthin: betanin * membrane.vulgaxanthinRatio } };
+}
+
+// --- Fitting ---
+// Linear regression y = m x + b
+export function linearRegression(points) {
+  const n = points.length;
+  if (n < 2) return { m: 0, b: 0, r2: 0 };
+  let sumx=0, sumy=0, sumxy=0, sumx2=0, sumy2=0;
+  for (const p of points) {
+    sumx += p.x; sumy += p.y; sumxy += p.x*p.y; sumx2 += p.x*p.x; sumy2 += p.y*p.y;
+  }
+  const denom = (n*sumx2 - sumx*sumx);
+  const m = denom !== 0 ? (n*sumxy - sumx*sumy) / denom : 0;
+  const b = (sumy - m*sumx) / n;
+  const r_num = (n*sumxy - sumx*sumy);
+  const r_den = Math.sqrt((n*sumx2 - sumx*sumx) * (n*sumy2 - sumy*sumy));
+  const r = r_den !== 0 ? r_num / r_den : 0;
+  return { m, b, r2: r*r };
+}
+
+// Linear range of a calibration: the most points (lowest x first) whose straight-line
+// fit leaves every residual within `tolerance` of the fitted value, or within
+// `floorA` absolute for readings near the blank. Returns the highest x on the line
+// and how many points that covers.
+export function linearRange(points, tolerance = 0.05, floorA = 3 * NOISE_STD_A) {
+  const sorted = [...points].sort((a, b) => a.x - b.x);
+  for (let n = sorted.length; n > 2; n--) {
+    const subset = sorted.slice(0, n);
+    const { m, b } = linearRegression(subset);
+    const ok = subset.every(p => {
+      const predicted = m * p.x + b;
+      return Math.abs(p.y - predicted) <= Math.max(tolerance * Math.abs(predicted), floorA);
+    });
+    if (ok) return { xMax: sorted[n - 1].x, n };
+  }
+  const n = Math.min(2, sorted.length);
+  return { xMax: n ? sorted[n - 1].x : 0, n };
+}
+
+// Solve the square system M x = v by Gaussian elimination with partial pivoting.
+// Returns null when the system is singular.
+export function solveLinearSystem(M, v) {
+  const n = v.length;
+  const a = M.map((row, i) => [...row, v[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = a[r][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[r][k] -= f * a[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = a[r][n];
+    for (let k = r + 1; k < n; k++) sum -= a[r][k] * x[k];
+    x[r] = sum / a[r][r];
+  }
+  return x;
+}
+
+// Least squares for X β ≈ y via the normal equations (XᵀX) β = Xᵀy
+export function leastSquares(X, y) {
+  const p = X[0].length;
+  const XtX = Array.from({ length: p }, (_, i) => Array.from({ length: p }, (_, j) => X.reduce((s, row) => s + row[i] * row[j], 0)));
+  const Xty = Array.from({ length: p }, (_, i) => X.reduce((s, row, r) => s + row[i] * y[r], 0));
+  return solveLinearSystem(XtX, Xty);
+}
+
+// --- Mixture analysis ---
+// Each wavelength j gives one equation A_j = blank_j + Σ_i k_ij c_i, where k_ij is the
+// calibration slope (A per mM) of component i at that wavelength. With as many
+// wavelengths as components these are simultaneous equations; with more, the
+// concentrations are the least-squares solution.
+// sensitivities: rows = wavelengths, columns = components. Returns null if unsolvable.
+export function solveMixture(sensitivities, absorbances, blanks = absorbances.map(() => 0)) {
+  const nComponents = sensitivities[0] ? sensitivities[0].length : 0;
+  if (nComponents === 0 || absorbances.length < nComponents) return null;
+  const y = absorbances.map((A, j) => A - blanks[j]);
+  const concentrations = absorbances.length === nComponents
+    ? solveLinearSystem(sensitivities, y)
+    : leastSquares(sensitivities, y);
+  if (!concentrations) return null;
+  const predicted = sensitivities.map((row, j) => blanks[j] + row.reduce((s, k, i) => s + k * concentrations[i], 0));
+  const residuals = absorbances.map((A, j) => A - predicted[j]);
+  return { concentrations, predicted, residuals };
+}
@@ -0,0 +1,86 @@
+/*
+  Printable lab report and data export for the colorimeter simulator (no DOM access).
+  The app collects the sections; this module turns them into a self-contained
+  HTML page and serialises tabular data as CSV or JSON.
+*/
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// rows: array of flat objects sharing the same keys (the first row's keys are the header)
+export function rowsToCsv(rows) {
+  if (!rows.length) return '';
+  const keys = Object.keys(rows[0]);
+  return [keys, ...rows.map(r => keys.map(k => r[k]))].map(r => r.map(csvCell).join(',')).join('\n');
+}
+
+export function rowsToJson(name, rows) {
+  return JSON.stringify({ dataset: name, exportedAt: new Date().toISOString(), rows }, null, 2);
+}
+
+function renderTable({ headers, rows }) {
+  if (!rows.length) return '<p class="empty">None recorded.</p>';
+  const head = headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function renderSection({ title, text, images = [], tables = [] }) {
+  const parts = [`<h2>${escapeHtml(title)}</h2>`];
+  for (const line of [].concat(text || [])) parts.push(`<p>${escapeHtml(line)}</p>`);
+  for (const img of images) {
+    parts.push(img.src
+      ? `<figure><img src="${escapeHtml(img.src)}" alt="${escapeHtml(img.caption)}"><figcaption>${escapeHtml(img.caption)}</figcaption></figure>`
+      : `<p class="empty">${escapeHtml(img.caption)}: no data.</p>`);
+  }
+  for (const table of tables) {
+    if (table.caption) parts.push(`<h3>${escapeHtml(table.caption)}</h3>`);
+    parts.push(renderTable(table));
+  }
+  return `<section>\n${parts.join('\n')}\n</section>`;
+}
+
+// Sections: [{ title, text?, images?: [{ src, caption }], tables?: [{ caption?, headers, rows }] }]
+export function buildReportHtml({ title, generatedAt, sections }) {
+  const stamp = generatedAt.toLocaleString();
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)} — ${escapeHtml(stamp)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; color: #263238; margin: 1.5rem auto; max-width: 52rem; padding: 0 1rem; line-height: 1.4; }
+  h1 { font-size: 1.4rem; margin-bottom: .2rem; }
+  h2 { font-size: 1.05rem; border-bottom: 1px solid #cfd8dc; padding-bottom: .2rem; margin-top: 1.5rem; }
+  h3 { font-size: .9rem; margin: .8rem 0 .3rem; }
+  p { font-size: .85rem; margin: .3rem 0; }
+  .stamp { color: #546e7a; font-size: .8rem; }
+  .empty { color: #78909c; font-style: italic; }
+  table { border-collapse: collapse; width: 100%; font-size: .75rem; font-variant-numeric: tabular-nums; }
+  th, td { border-bottom: 1px solid #eceff1; padding: .2rem .4rem; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  figure { margin: .6rem 0; text-align: center; }
+  figure img { max-width: 100%; border: 1px solid #eceff1; }
+  figcaption { font-size: .75rem; color: #546e7a; }
+  .print-btn { margin-top: .5rem; }
+  @media print {
+    .print-btn { display: none; }
+    body { margin: 0; max-width: none; }
+    section, figure, table { break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="stamp">Generated ${escapeHtml(stamp)} (${escapeHtml(generatedAt.toISOString())})</div>
+<button class="print-btn" onclick="window.print()">Print / save as PDF</button>
+${sections.map(renderSection).join('\n')}
+</body>
+</html>`;
+}
@@ -0,0 +1,145 @@
+/*
+  Experiment sessions for the colorimeter simulator (no DOM access).
+  A session is a versioned JSON document holding the instrument settings and
+  everything measured. The settings a shared link needs also round-trip through
+  the URL hash, e.g. #lambda=480&c=0.25&noise=0.
+*/
+
+import { PIGMENTS, MEMBRANE, LEDS } from './model.js';
+import { FIT_MODELS } from './fitting.js';
+import { ILLUMINANTS } from './colorimetry.js';
+import { planErrors } from './dilution.js';
+
+export const SESSION_FORMAT = 'colorimeter-session';
+export const SESSION_VERSION = 1;
+
+// Setting name → check applied when reading a session or a hash. Invalid values
+// are dropped so the app keeps its own value for that setting.
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const SETTING_CHECKS = {
+  wavelength:       (v) => isNum(v) && v >= 380 && v <= 700,
+  concentration:    (v) => isNum(v) && v >= 0,
+  pigment:          (v) => typeof v === 'string' && Object.hasOwn(PIGMENTS, v),
+  mixture:          (v) => v !== null && typeof v === 'object'
+                      && Object.entries(v).every(([id, c]) => Object.hasOwn(PIGMENTS, id) && isNum(c) && c >= 0),
+  noise:            (v) => typeof v === 'boolean',
+  pathLength:       (v) => isNum(v) && v > 0,
+  fitModel:         (v) => typeof v === 'string' && Object.hasOwn(FIT_MODELS, v),
+  plotVsPathLength: (v) => typeof v === 'boolean',
+  strayLight:       (v) => isNum(v) && v >= 0,
+  bandwidth:        (v) => isNum(v) && v >= 0,
+  bleachRate:       (v) => isNum(v) && v >= 0,
+  temperatureC:     (v) => isNum(v) && v >= 0 && v <= 100,
+  pH:               (v) => isNum(v) && v >= 0 && v <= 14,
+  illuminant:       (v) => typeof v === 'string' && Object.hasOwn(ILLUMINANTS, v),
+  instrument:       (v) => v === 'spectrophotometer' || v === 'colorimeter',
+  led:              (v) => typeof v === 'string' && Object.hasOwn(LEDS, v)
+};
+
+// Short URL-hash keys for the settings a teacher is likely to hand out
+const HASH_KEYS = {
+  lambda: 'wavelength', c: 'concentration', pigment: 'pigment', noise: 'noise',
+  l: 'pathLength', fit: 'fitModel', stray: 'strayLight', bw: 'bandwidth', T: 'temperatureC', pH: 'pH',
+  inst: 'instrument', led: 'led'
+};
+
+export function sanitizeSettings(settings) {
+  const out = {};
+  for (const [key, check] of Object.entries(SETTING_CHECKS)) {
+    if (settings && check(settings[key])) out[key] = settings[key];
+  }
+  return out;
+}
+
+export function createSession({ settings, calibration = [], unknownResults = [], bleachRuns = [], scan = null, leakage = [], standards = null }) {
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    settings: sanitizeSettings(settings),
+    calibration,
+    unknownResults,
+    bleachRuns,
+    scan,
+    leakage,
+    standards
+  };
+}
+
+const isStandard = (d) => d && typeof d.label === 'string' && isNum(d.nominal_mM) && isNum(d.actual_mM) && isNum(d.u_mM);
+
+// Prepared standards: { pigment, plan, items }, or null when there are none or they do not check out
+function parseStandards(v) {
+  if (!v || !Object.hasOwn(PIGMENTS, v.pigment) || planErrors(v.plan).length || !Array.isArray(v.items)) return null;
+  const items = v.items.filter(isStandard);
+  return items.length ? { pigment: v.pigment, plan: v.plan, items } : null;
+}
+
+const isCalibrationPoint = (d) => d && isNum(d.c_mM) && isNum(d.A) && Object.hasOwn(PIGMENTS, d.pigment)
+  && isNum(d.lambda) && isNum(d.l_cm);
+
+// The report and the unknowns export read the fit model's label and the replicate count
+const isUnknownResult = (r) => r && Object.hasOwn(PIGMENTS, r.pigment) && isNum(r.c_est)
+  && Object.hasOwn(FIT_MODELS, r.fitModel) && Array.isArray(r.readings) && r.readings.every(isNum);
+
+// Parse and check a session (JSON text or an already parsed object). Throws an
+// Error whose message says what is wrong; points that fail the checks are dropped.
+export function parseSession(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error('the file is not valid JSON');
+    }
+  }
+  if (!data || data.format !== SESSION_FORMAT) throw new Error('this is not a colorimeter session file');
+  if (!Number.isInteger(data.version) || data.version < 1) throw new Error('the session has no valid version number');
+  if (data.version > SESSION_VERSION) {
+    throw new Error(`the session was saved by a newer version (v${data.version}; this app reads up to v${SESSION_VERSION})`);
+  }
+  const list = (v) => (Array.isArray(v) ? v : []);
+  const scan = data.scan && Array.isArray(data.scan.data)
+    ? { data: data.scan.data.filter(d => d && isNum(d.lambda) && isNum(d.A)), lambdaMax: isNum(data.scan.lambdaMax) ? data.scan.lambdaMax : null }
+    : null;
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: typeof data.savedAt === 'string' ? data.savedAt : null,
+    settings: sanitizeSettings(data.settings),
+    calibration: list(data.calibration).filter(isCalibrationPoint),
+    unknownResults: list(data.unknownResults).filter(isUnknownResult),
+    bleachRuns: list(data.bleachRuns)
+      .filter(r => r && isNum(r.k_per_min) && Array.isArray(r.points))
+      .map(r => ({ ...r, points: r.points.filter(p => p && isNum(p.t_min) && (isNum(p.A) || isNum(p.c_mM))) })),
+    scan,
+    leakage: list(data.leakage).filter(d => d && Object.hasOwn(MEMBRANE.conditions, d.condition)
+      && isNum(d.level) && isNum(d.incubationMin) && isNum(d.A)),
+    standards: parseStandards(data.standards)
+  };
+}
+
+export function settingsToHash(settings) {
+  const params = new URLSearchParams();
+  for (const [key, name] of Object.entries(HASH_KEYS)) {
+    const v = settings[name];
+    if (v === undefined) continue;
+    const text = typeof v === 'boolean' ? (v ? '1' : '0') : typeof v === 'number' ? String(+v.toPrecision(6)) : String(v);
+    params.set(key, text);
+  }
+  return params.toString();
+}
+
+// Settings from a URL hash; unknown keys and invalid values are ignored
+export function settingsFromHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const settings = {};
+  for (const [key, name] of Object.entries(HASH_KEYS)) {
+    if (!params.has(key)) continue;
+    const raw = params.get(key);
+    if (name === 'noise') settings[name] = { 1: true, true: true, 0: false, false: false }[raw];
+    else if (['pigment', 'fitModel', 'instrument', 'led'].includes(name)) settings[name] = raw;
+    else settings[name] = raw.trim() === '' ? NaN : Number(raw);
+  }
+  return sanitizeSettings(settings);
+}
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSession } from '../session.js';
+import { groupFromFile, mainCalibration, compareGroups } from '../classroom.js';
+
+const defaults = { lambda: 538, l_cm: 1, pigment: 'betanin' };
+const line = (m, { l_cm = 1, lambda = 538 } = {}) =>
+  [0, 0.2, 0.4, 0.6].map(c => ({ c_mM: c, A: m * c * l_cm, pigment: 'betanin', lambda, l_cm, blankAge: null }));
+const group = (name, points, unknownResults = []) => ({ name, points, unknownResults });
+
+test('groups load from calibration CSV or session JSON', () => {
+  const fromCsv = groupFromFile('group-a.csv', 'c_mM,A\n0.1,0.1\n0.2,0.2', defaults);
+  assert.equal(fromCsv.name, 'group-a');
+  assert.equal(fromCsv.points.length, 2);
+  assert.equal(fromCsv.points[0].source, 'group-a');
+  const fromSession = groupFromFile('group-b.json', JSON.stringify(createSession({ settings: {}, calibration: line(1) })), defaults);
+  assert.equal(fromSession.points.length, 4);
+  assert.throws(() => groupFromFile('empty.csv', 'c_mM,A\nx,y', defaults), /is not a number/);
+});
+
+test('the main calibration is the largest pigment and λ set', () => {
+  const set = mainCalibration([...line(1).slice(0, 2), ...line(1, { lambda: 480 })]);
+  assert.equal(set.lambda, 480);
+  assert.equal(set.points.length, 4);
+  assert.equal(mainCalibration([]), null);
+});
+
+test('slopes are compared per cm of path and outliers flagged', () => {
+  const { rows, summary } = compareGroups([
+    group('A', line(1)), group('B', line(1.01)), group('C', line(0.99, { l_cm: 2 })),
+    group('D', line(1.02)), group('E', line(2)), group('F', line(1).slice(0, 1))
+  ]);
+  assert.equal(rows.find(r => r.name === 'C').m.toFixed(2), '0.99');
+  assert.deepEqual(rows.find(r => r.name === 'E').flags.map(f => f.split(' (')[0]), ['slope high']);
+  assert.deepEqual(rows.find(r => r.name === 'F').flags, ['too few points to fit']);
+  assert.ok(rows.filter(r => !['E', 'F'].includes(r.name)).every(r => !r.flags.length));
+  assert.equal(summary.medianSlope.toFixed(2), '1.01');
+  assert.equal(summary.mixedSettings, false);
+});
+
+test('points a group excluded stay out of its fit', () => {
+  const points = line(1);
+  points.push({ ...points[3], A: 5, excluded: true });
+  const [row] = compareGroups([group('A', points)]).rows;
+  assert.equal(row.n, 4);
+  assert.ok(Math.abs(row.m - 1) < 1e-12);
+
+  const exported = 'concentration_mM,absorbance_A,excluded\n0,0,false\n0.2,0.2,false\n0.4,3,true\n0.6,0.6,false';
+  const [fromCsv] = compareGroups([groupFromFile('calibration.csv', exported, defaults)]).rows;
+  assert.equal(fromCsv.n, 3);
+  assert.ok(Math.abs(fromCsv.m - 1) < 1e-12);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { whitePoint, chromaticity, solutionColor, spectralLocus } from '../colorimetry.js';
+
+const close = (actual, expected, tol) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not within ${tol} of ${expected}`);
+
+test('illuminant whites have their standard chromaticities', () => {
+  const d65 = chromaticity(whitePoint('D65'));
+  close(d65.x, 0.3127, 0.001);
+  close(d65.y, 0.3290, 0.001);
+  const a = chromaticity(whitePoint('A'));
+  close(a.x, 0.4476, 0.003);
+  close(a.y, 0.4074, 0.003);
+  const e = chromaticity(whitePoint('E'));
+  close(e.x, 1 / 3, 0.002);
+  close(e.y, 1 / 3, 0.002);
+});
+
+test('a clear solution is display white under every illuminant', () => {
+  const clear = solutionColor(() => 1);
+  assert.equal(clear.xyz.Y, 100);
+  assert.deepEqual(clear.lab, { L: 100, a: 0, b: 0 });
+  assert.equal(clear.srgb.hex, '#ffffff');
+  assert.equal(solutionColor(() => 1, 'A').srgb.hex, '#ffffff');
+  assert.ok(Number.isNaN(chromaticity({ X: 0, Y: 0, Z: 0 }).x));
+});
+
+test('a solution absorbing in the green looks magenta', () => {
+  const T = (lam) => 10 ** (-1.5 * Math.exp(-0.5 * ((lam - 538) / 40) ** 2));
+  const { srgb, lab } = solutionColor(T);
+  assert.ok(srgb.r > 150 && srgb.b > 150 && srgb.g < 60, srgb.hex);
+  assert.ok(lab.a > 50);
+});
+
+test('the spectral locus runs from blue to red', () => {
+  const locus = spectralLocus(10);
+  assert.equal(locus[0].lambda, 420);
+  assert.equal(locus[locus.length - 1].lambda, 700);
+  assert.ok(locus[0].x < 0.2 && locus[0].y < 0.05);
+  assert.ok(locus[locus.length - 1].x > 0.55);
+});
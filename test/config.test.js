@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG_FORMAT, DEFAULT_CONFIG, parseConfig } from '../config.js';
+
+test('an empty config gives the defaults', () => {
+  assert.deepEqual(parseConfig('{}'), DEFAULT_CONFIG);
+  assert.deepEqual(parseConfig({ format: CONFIG_FORMAT }), DEFAULT_CONFIG);
+});
+
+test('sections are merged over the defaults field by field', () => {
+  const config = parseConfig({
+    title: 'Year 12',
+    noise: { sdA: 0.01 },
+    features: { theory: false },
+    pigments: { betanin: { bands: [{ peakNm: 540, epsilonMax: 60000, sigmaNm: 30 }] } }
+  });
+  assert.equal(config.title, 'Year 12');
+  assert.deepEqual(config.noise, { enabled: true, sdA: 0.01 });
+  assert.equal(config.features.theory, false);
+  assert.equal(config.features.spectrum, true);
+  assert.equal(config.pigments.betanin.bands[0].peakNm, 540);
+});
+
+test('every problem is listed in one error', () => {
+  assert.throws(() => parseConfig('{'), /not valid JSON/);
+  assert.throws(() => parseConfig({ format: 'other' }), /"format" must be/);
+  assert.throws(
+    () => parseConfig({ colours: {}, noise: { sdA: 1 }, features: { lasers: true }, pigments: { chlorophyll: {}, betanin: { bands: [{ peakNm: 540 }] } } }),
+    (err) => {
+      assert.match(err.message, /"colours" is not a config section/);
+      assert.match(err.message, /noise\.sdA must be a number from 0 to 0\.1/);
+      assert.match(err.message, /features\.lasers is not a setting/);
+      assert.match(err.message, /pigments\.chlorophyll is not a pigment/);
+      assert.match(err.message, /pigments\.betanin\.bands\[0\] needs epsilonMax/);
+      return true;
+    }
+  );
+});
+
+test('ranges are checked against each other', () => {
+  assert.throws(() => parseConfig({ concentration: { max: 0.5, step: 0.5 } }), /step must be smaller/);
+  assert.throws(() => parseConfig({ autoCalibration: { maxConcentration: 2 } }), /cannot exceed concentration\.max/);
+  assert.throws(() => parseConfig({ unknown: { min: 0.5, max: 0.2 } }), /unknown\.max must be larger/);
+});
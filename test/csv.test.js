@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, guessMapping, convertRows, parseNumber } from '../csv.js';
+
+const defaults = { lambda: 538, l_cm: 1, pigment: 'betanin' };
+
+test('the delimiter, header row and decimal commas are detected', () => {
+  const comma = parseCsv('c_mM,A\n0.1,0.2\n\n# note\n0.2,0.4\n');
+  assert.equal(comma.delimiter, ',');
+  assert.equal(comma.hasHeader, true);
+  assert.deepEqual(comma.headers, ['c_mM', 'A']);
+  assert.deepEqual(comma.rows.map(r => r.line), [2, 5]);
+
+  const semicolon = parseCsv('c;A;l\n0,1;0,2;1\n0,2;0,4;1');
+  assert.equal(semicolon.delimiter, ';');
+  assert.equal(semicolon.decimalComma, true);
+  assert.equal(semicolon.rows.length, 2);
+  assert.deepEqual(parseCsv('1\t2\n3\t4').headers, ['Column 1', 'Column 2']);
+  assert.equal(parseNumber('0,25', true), 0.25);
+  assert.ok(Number.isNaN(parseNumber('  ')));
+});
+
+test('quoted cells keep their delimiters and escaped quotes', () => {
+  const { rows } = parseCsv('c,A,source\n0.1,0.2,"bench, ""A"""');
+  assert.deepEqual(rows[0].cells, ['0.1', '0.2', 'bench, "A"']);
+});
+
+test('columns and the concentration unit are guessed from the headers', () => {
+  const { mapping, unit } = guessMapping(parseCsv('Wavelength (nm),Conc (µM),Absorbance,Pigment\n538,10,0.1,betanin'));
+  assert.deepEqual(mapping, { concentration: 1, absorbance: 2, wavelength: 0, pathLength: -1, pigment: 3, source: -1, excluded: -1 });
+  assert.equal(unit, 'uM');
+  assert.equal(guessMapping(parseCsv('1,2\n3,4')).mapping.absorbance, 1);
+});
+
+test('OD headers map to absorbance, words that contain "od" do not', () => {
+  for (const header of ['OD', 'OD600', 'od_538', 'Sample OD']) {
+    assert.equal(guessMapping(parseCsv(`c_mM,${header}\n0.1,0.2`)).mapping.absorbance, 1, header);
+  }
+  for (const header of ['method', 'code', 'period']) {
+    assert.equal(guessMapping(parseCsv(`${header},c_mM,A\nx,0.1,0.2`)).mapping.absorbance, 2, header);
+  }
+});
+
+test('rows become calibration points in mM, with bad rows reported by line', () => {
+  const parsed = parseCsv('conc (mg/L),abs,pigment\n55,0.3,Betanin\nx,0.1,betanin\n10,0.2,chlorophyll');
+  const { points, errors } = convertRows(parsed, { ...guessMapping(parsed), molarMass: 550, defaults, source: 'file.csv' });
+  assert.deepEqual(points, [{ c_mM: 0.1, A: 0.3, pigment: 'betanin', lambda: 538, l_cm: 1, blankAge: null, source: 'file.csv', excluded: false }]);
+  assert.deepEqual(errors.map(e => e.line), [3, 4]);
+  assert.match(errors[0].message, /"x" is not a number/);
+  assert.match(errors[1].message, /unknown pigment/);
+});
+
+test('points left out of the fit in an export stay excluded', () => {
+  const parsed = parseCsv('concentration_mM,absorbance_A,source,excluded,note\n0.1,0.1,simulator,false,\n0.2,0.9,simulator,true,bubble\n0.3,0.3,simulator,,');
+  const { mapping } = guessMapping(parsed);
+  assert.equal(mapping.excluded, 3);
+  const { points } = convertRows(parsed, { mapping, defaults, source: 'calibration' });
+  assert.deepEqual(points.map(p => p.excluded), [false, true, false]);
+});
+
+test('missing required columns and molar mass are reported before any row', () => {
+  const parsed = parseCsv('a,b\n1,2');
+  const { errors } = convertRows(parsed, { mapping: { concentration: 0, absorbance: -1 }, unit: 'mgL', defaults });
+  assert.deepEqual(errors.map(e => e.message), ['map a column to absorbance', 'mg/L needs a molar mass in g/mol']);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng } from '../model.js';
+import { DEFAULT_PLAN, planErrors, prepareStandards, tolerance, PIPETTES, describePlan } from '../dilution.js';
+
+const close = (actual, expected, tol) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not within ${tol} of ${expected}`);
+
+test('perfect glassware gives the nominal concentrations', () => {
+  const serial = prepareStandards(DEFAULT_PLAN, () => 0.5);
+  assert.deepEqual(serial.map(s => s.nominal_mM), [0.5, 0.25, 0.125, 0.0625, 0.03125]);
+  serial.forEach(s => close(s.actual_mM, s.nominal_mM, 1e-15));
+  assert.equal(serial[1].steps, '5 mL of S1 made up to 10 mL');
+
+  const parallel = prepareStandards({ ...DEFAULT_PLAN, method: 'parallel', pipetteMl: 2, count: 4 }, () => 0.5);
+  parallel.forEach((s, i) => close(s.nominal_mM, 0.2 * (i + 1), 1e-12));
+  assert.equal(parallel[2].steps, '3 × 2 mL of stock made up to 10 mL');
+});
+
+test('serial uncertainty compounds, parallel does not', () => {
+  const uRel = (standards) => standards.map(s => s.u_mM / s.nominal_mM);
+  const serial = uRel(prepareStandards(DEFAULT_PLAN, () => 0.5));
+  close(serial[3] / serial[0], 2, 1e-12);
+  const parallel = uRel(prepareStandards({ ...DEFAULT_PLAN, method: 'parallel', pipetteMl: 2, count: 4 }, () => 0.5));
+  assert.ok(parallel[3] < parallel[0]);
+  assert.equal(tolerance(PIPETTES, 5, 'B'), 2 * PIPETTES[5]);
+});
+
+test('actual concentrations stay within the glassware tolerances', () => {
+  const rng = createRng(7);
+  for (let run = 0; run < 50; run++) {
+    const [s1] = prepareStandards(DEFAULT_PLAN, rng);
+    const worst = (5.015 / 9.975) - 0.5;
+    assert.ok(Math.abs(s1.actual_mM - 0.5) <= worst + 1e-12);
+  }
+});
+
+test('impossible plans are rejected with every reason', () => {
+  assert.deepEqual(planErrors(DEFAULT_PLAN), []);
+  assert.deepEqual(planErrors({ ...DEFAULT_PLAN, method: 'serial', pipetteMl: 10 }), ['for a serial dilution the pipette must be smaller than the flask']);
+  assert.deepEqual(planErrors({ ...DEFAULT_PLAN, method: 'parallel', count: 3 }), ['3 aliquots of 5 mL do not fit in a 10 mL flask']);
+  assert.throws(() => prepareStandards({ ...DEFAULT_PLAN, stockMm: 0, count: 20, pipetteMl: 3 }), /stock concentration.*; make from 2 to 10 standards; pipettes come in/);
+  assert.equal(describePlan(DEFAULT_PLAN), '5 standards by serial dilution of a 1 mM stock, 5 mL class A pipette, 10 mL class A flasks');
+});
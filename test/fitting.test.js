@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIT_MODELS, t975, fitCalibration, inversePrediction, detectionLimits } from '../fitting.js';
+
+const close = (actual, expected, tol) => assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not within ${tol} of ${expected}`);
+
+// Anscombe's quartet, set I: m = 0.500 ± 0.118, b = 3.00 ± 1.12, R² = 0.667, s(y/x) = 1.24
+const ANSCOMBE = [[10, 8.04], [8, 6.95], [13, 7.58], [9, 8.81], [11, 8.33], [14, 9.96], [6, 7.24], [4, 4.26], [12, 10.84], [7, 4.82], [5, 5.68]]
+  .map(([x, y]) => ({ x, y }));
+
+test('t975 follows the Student t table and tends to 1.96', () => {
+  assert.equal(t975(1), 12.706);
+  assert.equal(t975(10), 2.228);
+  assert.ok(Number.isNaN(t975(0)));
+  assert.ok(t975(1000) < 1.97 && t975(1000) > 1.96);
+});
+
+test('linear fit gives textbook parameters and standard errors', () => {
+  const fit = fitCalibration(ANSCOMBE, 'linear');
+  close(fit.params.m, 0.5001, 1e-4);
+  close(fit.params.b, 3.0001, 1e-4);
+  close(fit.se.m, 0.1179, 1e-4);
+  close(fit.se.b, 1.1247, 1e-4);
+  close(fit.r2, 0.6665, 1e-4);
+  close(fit.syx, 1.2366, 1e-4);
+  assert.equal(fit.dof, 9);
+  assert.equal(fit.residuals.length, ANSCOMBE.length);
+});
+
+test('every model recovers an exact curve', () => {
+  const line = [0, 1, 2, 3, 4].map(x => ({ x, y: 0.8 * x }));
+  for (const model of Object.keys(FIT_MODELS)) {
+    const fit = fitCalibration(line, model);
+    close(fit.params.m, 0.8, 1e-9);
+    close(fit.r2, 1, 1e-9);
+    if (!FIT_MODELS[model].terms.includes('q')) close(fit.inverse(2.4), 3, 1e-9);
+  }
+  const parabola = [0, 1, 2, 3, 4].map(x => ({ x, y: 0.1 + x - 0.05 * x * x }));
+  const fit = fitCalibration(parabola, 'quadratic');
+  close(fit.params.q, -0.05, 1e-9);
+  close(fit.inverse(fit.predict(2.5)), 2.5, 1e-9);
+});
+
+test('too few points or a singular design give no fit', () => {
+  assert.equal(fitCalibration([{ x: 1, y: 1 }], 'linear'), null);
+  assert.equal(fitCalibration([{ x: 0, y: 0 }, { x: 1, y: 1 }], 'quadratic'), null);
+  assert.equal(fitCalibration([{ x: 1, y: 1 }, { x: 1, y: 2 }], 'linear'), null);
+});
+
+test('inverse prediction reads x back with a wider interval for fewer replicates', () => {
+  const fit = fitCalibration(ANSCOMBE, 'linear');
+  const one = inversePrediction(fit, [8]);
+  const three = inversePrediction(fit, [8, 8, 8]);
+  close(one.x0, (8 - fit.params.b) / fit.params.m, 1e-9);
+  assert.ok(three.ci < one.ci);
+  assert.equal(inversePrediction(fit, []), null);
+  assert.equal(inversePrediction(fit, [100]).outOfRange, true);
+});
+
+test('detection limits use replicate blanks when there are three', () => {
+  const points = [0, 0, 0, 1, 2, 3].map((x, i) => ({ x, y: x + [0.01, -0.01, 0, 0.02, -0.02, 0][i] }));
+  const fit = fitCalibration(points, 'linear');
+  const limits = detectionLimits(fit, points);
+  assert.equal(limits.basis, 'SD of 3 blanks');
+  close(limits.sigma, 0.01, 1e-12);
+  close(limits.loq / limits.lod, 10 / 3.3, 1e-12);
+  assert.equal(detectionLimits(fitCalibration(ANSCOMBE, 'origin'), ANSCOMBE).basis, 's(y/x)');
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GAS_CONSTANT } from '../model.js';
+import { fitRateLaw, fitKinetics, arrheniusFit } from '../kinetics.js';
+
+const close = (actual, expected, tol) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not within ${tol} of ${expected}`);
+
+const times = [0, 2, 4, 6, 8, 10];
+
+test('first-order decay is recovered exactly and fits best', () => {
+  const readings = times.map(t => ({ t_min: t, A: 0.8 * Math.exp(-0.1 * t) }));
+  const fits = fitKinetics(readings);
+  close(fits.first.k, 0.1, 1e-12);
+  close(fits.first.A0, 0.8, 1e-12);
+  close(fits.first.halfLife, Math.LN2 / 0.1, 1e-9);
+  close(fits.first.rmse, 0, 1e-12);
+  assert.ok(fits.zero.rmse > fits.first.rmse && fits.second.rmse > fits.first.rmse);
+});
+
+test('zero- and second-order data give their own k and half-life', () => {
+  const zero = fitRateLaw(times.map(t => ({ t_min: t, A: 0.6 - 0.03 * t })), 'zero');
+  close(zero.k, 0.03, 1e-12);
+  close(zero.halfLife, 10, 1e-9);
+  const second = fitRateLaw(times.map(t => ({ t_min: t, A: 1 / (2 + 0.5 * t) })), 'second');
+  close(second.k, 0.5, 1e-12);
+  close(second.halfLife, 1 / (0.5 * 0.5), 1e-9);
+});
+
+test('readings that cannot be linearised are excluded and counted', () => {
+  const readings = [...times.map(t => ({ t_min: t, A: 0.5 * Math.exp(-0.2 * t) })), { t_min: 12, A: 0 }];
+  const fit = fitRateLaw(readings, 'first');
+  assert.equal(fit.n, 6);
+  assert.equal(fit.excluded, 1);
+  assert.equal(fitRateLaw(readings, 'zero').excluded, 0);
+  assert.equal(fitRateLaw(readings.slice(0, 2), 'first'), null);
+});
+
+test('the Arrhenius fit recovers the activation energy', () => {
+  const Ea = 80e3, lnA = 25;
+  const runs = [30, 40, 50, 60].map(T => ({ temperatureC: T, k: Math.exp(lnA - Ea / (GAS_CONSTANT * (T + 273.15))) }));
+  const fit = arrheniusFit(runs);
+  close(fit.Ea, 80, 1e-6);
+  close(fit.lnA, lnA, 1e-6);
+  assert.equal(arrheniusFit([{ temperatureC: 30, k: 0.1 }, { temperatureC: 30, k: 0.2 }]), null);
+});
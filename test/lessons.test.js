@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUILT_IN_LESSONS, parseLesson, startLesson, checkLesson, takeHint, totalScore, maxScore, describeCondition } from '../lessons.js';
+
+const baseState = {
+  wavelength: 480, lambdaMax: 538, blankAgeMin: null, scanLambdaMax: null,
+  calibration: { n: 0, r2: NaN }, pigment: 'betanin', pathLength: 1, noise: true, fitModel: 'linear', unknownResults: []
+};
+
+test('the built-in lessons parse and have points to earn', () => {
+  assert.deepEqual(BUILT_IN_LESSONS.map(l => l.id), ['select-wavelength', 'build-calibration', 'determine-unknown']);
+  for (const lesson of BUILT_IN_LESSONS) assert.ok(maxScore(lesson) > 0);
+  assert.equal(describeCondition({ type: 'wavelengthNear', target: 'lambdaMax', tolerance: 5 }), 'λ within 5 nm of λmax');
+});
+
+test('a broken lesson lists every problem at once', () => {
+  assert.throws(() => parseLesson('{'), /not valid JSON/);
+  assert.throws(
+    () => parseLesson({ steps: [{ condition: { type: 'calibration', minPoints: 1, colour: 'red' } }, { instruction: 'x', condition: { type: 'teleport' } }] }),
+    (err) => {
+      assert.match(err.message, /needs a "title"/);
+      assert.match(err.message, /step 1: needs an "instruction"/);
+      assert.match(err.message, /step 1: calibration "minPoints" has an invalid value 1/);
+      assert.match(err.message, /step 1: calibration has no argument "colour"/);
+      assert.match(err.message, /step 2: unknown condition type "teleport"/);
+      return true;
+    }
+  );
+});
+
+test('steps complete in order and hints cost points', () => {
+  const lesson = parseLesson({
+    title: 'Two steps',
+    steps: [
+      { instruction: 'Zero', condition: { type: 'zeroed' }, hints: ['Press zero'] },
+      { instruction: 'Go to λmax', condition: { type: 'wavelengthNear', target: 'lambdaMax' } }
+    ]
+  });
+  assert.equal(lesson.id, 'two-steps');
+  const run = startLesson(lesson, baseState);
+  assert.equal(checkLesson(run, baseState).completed, null);
+  assert.equal(takeHint(run), 'Press zero');
+  assert.equal(takeHint(run), null);
+  const zeroed = { ...baseState, blankAgeMin: 0.2 };
+  assert.equal(checkLesson(run, zeroed).completed.score, 8);
+  assert.equal(checkLesson(run, { ...zeroed, wavelength: 540 }).completed.score, 10);
+  assert.equal(run.finished, true);
+  assert.equal(totalScore(run), 18);
+});
+
+test('unknown estimates outside the tolerance count as failures', () => {
+  const lesson = parseLesson({ title: 'Unknown', steps: [{ instruction: 'Estimate', condition: { type: 'unknownWithin', maxErrorPct: 5 } }] });
+  const run = startLesson(lesson, baseState);
+  const missed = { ...baseState, unknownResults: [{ errorPct: 12 }, { errorPct: -8 }] };
+  assert.equal(checkLesson(run, missed).completed, null);
+  assert.equal(run.failures, 2);
+  const hit = { ...baseState, unknownResults: [...missed.unknownResults, { errorPct: 2 }] };
+  assert.equal(checkLesson(run, hit).completed.score, 10 - 2 * 3);
+});
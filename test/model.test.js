@@ -0,0 +1,207 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LAMBDA_PEAK_NM, EPSILON_MAX, BASELINE_EPSILON, epsilonAt, mMToM, absorbance,
+  createRng, simulateCalibration, calibrationTargets, linearRegression, measureAbsorbance, solveMixture,
+  IDEAL_OPTICS, effectiveAbsorbance, linearRange,
+  LAMP, lampIntensity, REFERENCE_PH, REFERENCE_TEMP_C, GAS_CONSTANT, PH_SPECTRUM, DEGRADATION,
+  pHSpectrumEffect, peakWavelength, degradationRate,
+  MEMBRANE, leakageFraction, simulateDiscExtract, randn, componentAbsorbances
+} from '../model.js';
+
+const close = (actual, expected, tol) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} is not within ${tol} of ${expected}`);
+
+test('ε peaks at 538 nm with EPSILON_MAX above the baseline', () => {
+  assert.equal(LAMBDA_PEAK_NM, 538);
+  assert.equal(epsilonAt(538), EPSILON_MAX + BASELINE_EPSILON);
+  assert.ok(epsilonAt(500) < epsilonAt(538));
+  assert.ok(epsilonAt(580) < epsilonAt(538));
+});
+
+test('concentrations in mM are converted to M before Beer–Lambert', () => {
+  assert.equal(mMToM(1), 0.001);
+  assert.equal(mMToM(250), 0.25);
+  // A = ε c l with c = 0.5 mM = 5e-4 M in a 1 cm cuvette
+  assert.ok(Math.abs(absorbance(538, 0.5, 1) - (EPSILON_MAX + BASELINE_EPSILON) * 5e-4) < 1e-12);
+  // A scales with path length
+  assert.ok(Math.abs(absorbance(538, 0.5, 2) - 2 * absorbance(538, 0.5, 1)) < 1e-12);
+});
+
+test('linearRegression reproduces known datasets', () => {
+  // Exact line y = 2x + 1
+  const exact = linearRegression([0, 1, 2, 3, 4].map(x => ({ x, y: 2 * x + 1 })));
+  assert.ok(Math.abs(exact.m - 2) < 1e-12);
+  assert.ok(Math.abs(exact.b - 1) < 1e-12);
+  assert.ok(Math.abs(exact.r2 - 1) < 1e-12);
+
+  // Anscombe's quartet, set I: y = 3.00 + 0.500 x, r² = 0.667
+  const xs = [10, 8, 13, 9, 11, 14, 6, 4, 12, 7, 5];
+  const ys = [8.04, 6.95, 7.58, 8.81, 8.33, 9.96, 7.24, 4.26, 10.84, 4.82, 5.68];
+  const fit = linearRegression(xs.map((x, i) => ({ x, y: ys[i] })));
+  assert.ok(Math.abs(fit.m - 0.5001) < 1e-4);
+  assert.ok(Math.abs(fit.b - 3.0001) < 1e-4);
+  assert.ok(Math.abs(fit.r2 - 0.6665) < 1e-4);
+
+  // Too few points give an empty fit rather than NaN
+  assert.deepEqual(linearRegression([{ x: 1, y: 1 }]), { m: 0, b: 0, r2: 0 });
+});
+
+test('a seeded rng makes noisy calibrations reproducible', () => {
+  const targets = calibrationTargets(0.02, 5);
+  const first = simulateCalibration(538, targets, 1, { rng: createRng(42) });
+  const again = simulateCalibration(538, targets, 1, { rng: createRng(42) });
+  const other = simulateCalibration(538, targets, 1, { rng: createRng(43) });
+  assert.deepEqual(first, again);
+  assert.notDeepEqual(first, other);
+
+  const rng = createRng(7);
+  for (let i = 0; i < 100; i++) {
+    const u = rng();
+    assert.ok(u >= 0 && u < 1);
+  }
+});
+
+test('readings without noise are exact and never negative', () => {
+  assert.equal(measureAbsorbance(538, 0.01, 1, { noise: false }), absorbance(538, 0.01, 1));
+  // rng = 0.5 draws a negative deviate, which the floor at 0 absorbs
+  assert.equal(measureAbsorbance(538, 0, 1, { rng: () => 0.5 }), 0);
+});
+
+test('solveMixture recovers a known two-pigment mixture against its solvent blank', () => {
+  const mix = { betanin: 0.2, vulgaxanthin: 0.1 };
+  // Pure-component slopes in A per mM in a 1 cm cuvette
+  const sensitivity = (lambdas) => lambdas.map(lam => ['betanin', 'vulgaxanthin'].map(id => epsilonAt(lam, id) * mMToM(1)));
+  const blanks = [0.02, 0.03, 0.01];
+  const lambdas = [480, 538, 600];
+  const readings = lambdas.map((lam, j) => absorbance(lam, mix, 1) + blanks[j]);
+
+  const exact = solveMixture(sensitivity(lambdas.slice(0, 2)), readings.slice(0, 2), blanks.slice(0, 2));
+  exact.concentrations.forEach((c, i) => assert.ok(Math.abs(c - [0.2, 0.1][i]) < 1e-9));
+  exact.residuals.forEach(r => assert.ok(Math.abs(r) < 1e-9));
+
+  const overdetermined = solveMixture(sensitivity(lambdas), readings, blanks);
+  overdetermined.concentrations.forEach((c, i) => assert.ok(Math.abs(c - [0.2, 0.1][i]) < 1e-9));
+
+  // Without the blank subtracted, the solvent's absorbance is taken for pigment
+  const unblanked = solveMixture(sensitivity(lambdas.slice(0, 2)), readings.slice(0, 2));
+  assert.ok(unblanked.concentrations.some((c, i) => Math.abs(c - [0.2, 0.1][i]) > 1e-4));
+});
+
+test('solveMixture returns null when the components cannot be told apart', () => {
+  // The second pigment's sensitivities are twice the first's at every λ
+  assert.equal(solveMixture([[1, 2], [3, 6]], [0.5, 1.5]), null);
+  assert.equal(solveMixture([[1, 2], [3, 6], [5, 10]], [0.5, 1.5, 2.5]), null);
+  // Fewer wavelengths than components
+  assert.equal(solveMixture([[1, 2]], [0.5]), null);
+});
+
+test('stray light and source bandwidth bend A below Beer–Lambert at high absorbance', () => {
+  assert.equal(effectiveAbsorbance(538, 0.05, 1, IDEAL_OPTICS), absorbance(538, 0.05, 1));
+  for (const optics of [{ strayLight: 0.01 }, { bandwidthNm: 40 }]) {
+    const deficit = c => absorbance(538, c, 1) - effectiveAbsorbance(538, c, 1, optics);
+    assert.ok(deficit(0.005) > 0);
+    // The shortfall grows with A, so the calibration curves away from the line
+    assert.ok(deficit(0.05) / absorbance(538, 0.05, 1) > deficit(0.005) / absorbance(538, 0.005, 1));
+  }
+  // 1% stray light caps the reading near -log10(0.01) = 2
+  assert.ok(effectiveAbsorbance(538, 0.5, 1, { strayLight: 0.01 }) < 2.01);
+});
+
+test('linearRange stops where the calibration starts to curve', () => {
+  const curved = [1, 2, 3, 4, 5, 6, 7, 8].map(x => ({ x, y: x <= 5 ? 0.1 * x : 0.5 + 0.02 * (x - 5) }));
+  assert.deepEqual(linearRange(curved), { xMax: 5, n: 5 });
+  // Order of the points does not matter
+  assert.deepEqual(linearRange([...curved].reverse()), { xMax: 5, n: 5 });
+
+  const straight = [0, 1, 2, 3, 4, 5].map(x => ({ x, y: 0.2 * x + 0.01 }));
+  assert.deepEqual(linearRange(straight), { xMax: 5, n: 6 });
+});
+
+test('the lamp warms up, then fades', () => {
+  // Whole wander periods, so only warm-up and fade remain
+  close(lampIntensity(0), 1 - LAMP.warmupDeficit, 1e-12);
+  assert.ok(lampIntensity(10) > lampIntensity(0));
+  close(lampIntensity(10), (1 - LAMP.warmupDeficit * Math.exp(-5)) * (1 - 10 * LAMP.driftPerMin), 1e-12);
+  assert.ok(lampIntensity(30) < lampIntensity(10));
+});
+
+test('a blank taken on the same lamp gives no offset; an old one reads high as the lamp fades', () => {
+  const read = (I0, Iref) => measureAbsorbance(538, 0.01, 1, { rng: createRng(3), I0, Iref });
+  const blankAt = lampIntensity(10);
+  assert.equal(read(blankAt, blankAt), read(1, 1));
+  // Twenty minutes later the lamp is dimmer than when it was blanked: less light
+  // through the sample is taken for absorbance
+  const bias = read(lampIntensity(30), blankAt) - read(1, 1);
+  assert.ok(bias > 0);
+  close(bias, -Math.log10(lampIntensity(30) / blankAt), 1e-12);
+});
+
+test('pH moves λmax to shorter λ in acid and longer λ in alkali', () => {
+  for (const pH of [3, 5, 7]) {
+    assert.deepEqual(pHSpectrumEffect(pH), { shiftNm: 0, epsilonScale: 1 });
+    assert.equal(peakWavelength('betanin', pH), 538);
+  }
+  // 2 nm per unit below pH 3, 4 nm per unit above pH 7
+  assert.equal(peakWavelength('betanin', 1), 538 - 2 * PH_SPECTRUM.acidShiftNm);
+  assert.equal(peakWavelength('betanin', 9), 538 + 2 * PH_SPECTRUM.alkalineShiftNm);
+  assert.ok(epsilonAt(546, 'betanin', 9) < epsilonAt(538, 'betanin', 5));
+});
+
+test('the degradation rate follows Arrhenius in temperature and grows away from the pH optimum', () => {
+  const kRef = 0.01;
+  assert.equal(degradationRate(kRef), kRef);
+  close(degradationRate(kRef, { temperatureC: REFERENCE_TEMP_C, pH: REFERENCE_PH }), kRef, 1e-15);
+
+  // k(T) / k(25 °C) = exp(-Ea/R (1/T - 1/Tref))
+  const factor = Math.exp(-DEGRADATION.activationEnergyKJ * 1000 / GAS_CONSTANT * (1 / 333.15 - 1 / 298.15));
+  close(degradationRate(kRef, { temperatureC: 60 }), kRef * factor, 1e-12);
+  assert.ok(degradationRate(kRef, { temperatureC: 60 }) > degradationRate(kRef, { temperatureC: 40 }));
+
+  // One pH width from the optimum the rate doubles
+  close(degradationRate(kRef, { pH: REFERENCE_PH + DEGRADATION.pHWidth }), 2 * kRef, 1e-15);
+  close(degradationRate(kRef, { pH: REFERENCE_PH - DEGRADATION.pHWidth }), 2 * kRef, 1e-15);
+});
+
+test('leakage rises with incubation time and a lower midpoint leaks more', () => {
+  const times = [0, 2, 5, 10, 20, 40];
+  const leak = times.map(t => leakageFraction('temperature', 60, t));
+  assert.equal(leak[0], 0);
+  for (let i = 1; i < leak.length; i++) assert.ok(leak[i] > leak[i - 1]);
+  assert.ok(leak[leak.length - 1] < 1);
+
+  // At the midpoint half the membranes are damaged; shifting it moves that level
+  const { midpoint, width } = MEMBRANE.conditions.ethanol;
+  const long = 1e6;
+  close(leakageFraction('ethanol', midpoint, long), MEMBRANE.baselineLeak + (1 - MEMBRANE.baselineLeak) / 2, 1e-12);
+  close(leakageFraction('ethanol', midpoint + 5, long, 5), leakageFraction('ethanol', midpoint, long), 1e-12);
+  assert.ok(leakageFraction('ethanol', midpoint, long, -width) > leakageFraction('ethanol', midpoint, long));
+  assert.throws(() => leakageFraction('salt', 1, 10), /Unknown condition/);
+});
+
+test('a seeded disc extract draws its midpoint shift, then its pigment content', () => {
+  const disc = simulateDiscExtract('temperature', 60, 20, createRng(11));
+  assert.deepEqual(simulateDiscExtract('temperature', 60, 20, createRng(11)), disc);
+
+  const rng = createRng(11);
+  const shift = randn(rng) * MEMBRANE.conditions.temperature.midpointSD;
+  const cv = MEMBRANE.contentCV;
+  const content = Math.exp(randn(rng) * cv - cv * cv / 2);
+  close(disc.leakage, leakageFraction('temperature', 60, 20, shift), 1e-15);
+  close(disc.sample.betanin, MEMBRANE.extractMaxBetanin_mM * content * disc.leakage, 1e-15);
+  close(disc.sample.vulgaxanthin, disc.sample.betanin * MEMBRANE.vulgaxanthinRatio, 1e-15);
+});
+
+test('component absorbances add up to the mixture and an absent pigment adds nothing', () => {
+  const mix = { betanin: 0.008, vulgaxanthin: 0.012 };
+  for (const lam of [480, 538, 600]) {
+    const parts = componentAbsorbances(lam, mix, 2);
+    assert.deepEqual(Object.keys(parts), ['betanin', 'vulgaxanthin']);
+    close(parts.betanin, absorbance(lam, 0.008, 2), 1e-15);
+    close(parts.vulgaxanthin, epsilonAt(lam, 'vulgaxanthin') * mMToM(0.012) * 2, 1e-15);
+    close(parts.betanin + parts.vulgaxanthin, absorbance(lam, mix, 2), 1e-15);
+  }
+  const parts = componentAbsorbances(538, { betanin: 0.01, vulgaxanthin: 0 }, 1);
+  assert.equal(parts.vulgaxanthin, 0);
+  assert.equal(absorbance(538, { betanin: 0.01, vulgaxanthin: 0 }, 1), absorbance(538, 0.01, 1));
+});
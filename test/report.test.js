@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, rowsToCsv, rowsToJson, buildReportHtml } from '../report.js';
+
+test('HTML special characters are escaped', () => {
+  assert.equal(escapeHtml('<b>A & B</b>'), '&lt;b&gt;A &amp; B&lt;/b&gt;');
+  assert.equal(escapeHtml(`"betanin" 'red'`), '&quot;betanin&quot; &#39;red&#39;');
+  assert.equal(escapeHtml('&amp;'), '&amp;amp;');
+  assert.equal(escapeHtml(0.25), '0.25');
+});
+
+test('CSV cells with commas, quotes or newlines are quoted', () => {
+  const csv = rowsToCsv([
+    { c_mM: 0.1, note: 'diluted 1:10, twice' },
+    { c_mM: 0.2, note: 'the "old" blank' },
+    { c_mM: 0.3, note: 'line one\nline two' },
+    { c_mM: null, note: undefined }
+  ]);
+  assert.equal(csv, [
+    'c_mM,note',
+    '0.1,"diluted 1:10, twice"',
+    '0.2,"the ""old"" blank"',
+    '0.3,"line one\nline two"',
+    ','
+  ].join('\n'));
+  assert.equal(rowsToCsv([]), '');
+});
+
+test('JSON exports name their data set', () => {
+  const { dataset, exportedAt, rows } = JSON.parse(rowsToJson('scan', [{ wavelength_nm: 538, absorbance_A: 0.6 }]));
+  assert.equal(dataset, 'scan');
+  assert.ok(!Number.isNaN(Date.parse(exportedAt)));
+  assert.deepEqual(rows, [{ wavelength_nm: 538, absorbance_A: 0.6 }]);
+});
+
+test('the report carries its timestamp and every section', () => {
+  const generatedAt = new Date('2026-03-02T10:15:00Z');
+  const html = buildReportHtml({
+    title: 'Beetroot <lab>',
+    generatedAt,
+    sections: [
+      { title: 'Settings', text: ['λ = 538 nm', 'l = 1 cm'] },
+      { title: 'Charts', images: [{ src: 'data:image/png;base64,', caption: 'Calibration' }, { src: null, caption: 'Scan' }] },
+      { title: 'Calibration', tables: [{ caption: 'Points', headers: ['c (mM)', 'A'], rows: [[0.1, 0.6]] }, { headers: ['x'], rows: [] }] }
+    ]
+  });
+  assert.ok(html.startsWith('<!DOCTYPE html>'));
+  assert.ok(html.includes(`<title>Beetroot &lt;lab&gt; — ${escapeHtml(generatedAt.toLocaleString())}</title>`));
+  assert.ok(html.includes('2026-03-02T10:15:00.000Z'));
+  assert.equal(html.match(/<section>/g).length, 3);
+  for (const part of ['<h2>Settings</h2>', '<p>λ = 538 nm</p>', '<figcaption>Calibration</figcaption>',
+    '<p class="empty">Scan: no data.</p>', '<h3>Points</h3>', '<th>c (mM)</th>', '<td>0.6</td>', '<p class="empty">None recorded.</p>']) {
+    assert.ok(html.includes(part), `missing ${part}`);
+  }
+});
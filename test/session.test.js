@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SESSION_FORMAT, SESSION_VERSION, createSession, parseSession, sanitizeSettings, settingsToHash, settingsFromHash } from '../session.js';
+
+const point = { c_mM: 0.2, A: 0.25, pigment: 'betanin', lambda: 538, l_cm: 1, blankAge: 0.5 };
+
+test('a session survives a JSON round trip', () => {
+  const session = createSession({
+    settings: { wavelength: 538, pigment: 'betanin', noise: false, fitModel: 'weighted' },
+    calibration: [point],
+    scan: { data: [{ lambda: 500, A: 0.1 }], lambdaMax: 500 }
+  });
+  assert.equal(session.format, SESSION_FORMAT);
+  assert.equal(session.version, SESSION_VERSION);
+  const back = parseSession(JSON.stringify(session));
+  assert.deepEqual(back.settings, session.settings);
+  assert.deepEqual(back.calibration, [point]);
+  assert.deepEqual(back.scan, session.scan);
+  assert.equal(back.standards, null);
+});
+
+test('files that are not sessions are rejected with a reason', () => {
+  assert.throws(() => parseSession('{nope'), /not valid JSON/);
+  assert.throws(() => parseSession({ format: 'other' }), /not a colorimeter session/);
+  assert.throws(() => parseSession({ format: SESSION_FORMAT }), /no valid version/);
+  assert.throws(() => parseSession({ format: SESSION_FORMAT, version: SESSION_VERSION + 1 }), /newer version/);
+});
+
+test('invalid settings and points are dropped, valid ones kept', () => {
+  assert.deepEqual(sanitizeSettings({ wavelength: 900, pigment: 'betanin', pH: 15, noise: 'yes' }), { pigment: 'betanin' });
+  const back = parseSession({
+    format: SESSION_FORMAT, version: 1,
+    calibration: [point, { ...point, pigment: 'chlorophyll' }, { ...point, A: 'high' }, null]
+  });
+  assert.deepEqual(back.calibration, [point]);
+  assert.deepEqual(back.unknownResults, []);
+  assert.deepEqual(back.bleachRuns, []);
+});
+
+test('unknown results need a known fit model and a list of readings', () => {
+  const result = { pigment: 'betanin', lambda: 538, l_cm: 1, dilution: 1, readings: [0.31, 0.32], fitModel: 'linear', c_est: 0.2, ci: 0.01, c_true: 0.21, errorPct: -4.8 };
+  const back = parseSession({
+    format: SESSION_FORMAT, version: 1,
+    unknownResults: [result, { ...result, fitModel: 'spline' }, { ...result, readings: 2 }, { ...result, readings: ['x'] }]
+  });
+  assert.deepEqual(back.unknownResults, [result]);
+});
+
+test('shareable settings round-trip through the URL hash', () => {
+  const settings = { wavelength: 480, concentration: 0.25, pigment: 'vulgaxanthin', noise: false, pathLength: 1, instrument: 'colorimeter', led: 'blue' };
+  const hash = settingsToHash(settings);
+  assert.match(hash, /lambda=480/);
+  assert.deepEqual(settingsFromHash(`#${hash}`), settings);
+  assert.deepEqual(settingsFromHash('#lambda=abc&c=&pigment=nope&noise=maybe&extra=1'), {});
+});